@@ -0,0 +1,82 @@
+"use strict";
+
+const { ErrorCodes, ConnectionError } = require("./errors");
+
+const malformed = (reason) =>
+  new ConnectionError(
+    ErrorCodes.TokenInvalid,
+    `Access token is malformed - ${reason}`
+  );
+
+const decodeBase64Url = (segment) => {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Read the claims of a Twilio access token. The signature is not checked,
+ * Twilio does that when connecting.
+ * @param {string} token - JWT access token
+ * @returns {object} { identity, roomName, issuedAt, expiresAt }, times in
+ * milliseconds, roomName null when the video grant allows any room
+ */
+const decodeAccessToken = (token) => {
+  if (typeof token !== "string") throw malformed("not a string");
+
+  const segments = token.split(".");
+  if (segments.length !== 3) throw malformed("not a JWT");
+
+  let claims;
+  try {
+    claims = JSON.parse(decodeBase64Url(segments[1]));
+  } catch (e) {
+    throw malformed("unreadable payload");
+  }
+  if (!claims || typeof claims.exp !== "number") throw malformed("no expiry");
+
+  const grants = claims.grants || {};
+  if (!grants.video) throw malformed("no video grant");
+
+  return {
+    identity: grants.identity || null,
+    roomName: grants.video.room || null,
+    issuedAt: typeof claims.iat === "number" ? claims.iat * 1000 : null,
+    expiresAt: claims.exp * 1000,
+  };
+};
+
+/**
+ * @param {object} decoded - see decodeAccessToken
+ * @param {number} [margin] - milliseconds before the actual expiry to count as expired
+ * @returns {boolean}
+ */
+const isExpired = (decoded, margin = 0) =>
+  decoded.expiresAt - margin <= Date.now();
+
+/**
+ * Check a token can be used to join a room, before asking Twilio.
+ * @param {string} token
+ * @param {string} roomName - the room about to be joined
+ * @returns {object} the decoded token, see decodeAccessToken
+ */
+const validateAccessToken = (token, roomName) => {
+  const decoded = decodeAccessToken(token);
+
+  if (isExpired(decoded))
+    throw new ConnectionError(
+      ErrorCodes.TokenExpired,
+      `Access token expired at ${new Date(decoded.expiresAt).toISOString()}`
+    );
+
+  if (decoded.roomName && roomName && decoded.roomName !== roomName)
+    throw new ConnectionError(
+      ErrorCodes.TokenRoomMismatch,
+      `Access token is for room ${decoded.roomName}, not ${roomName}`
+    );
+
+  return decoded;
+};
+
+module.exports = { decodeAccessToken, isExpired, validateAccessToken };
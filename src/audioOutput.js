@@ -0,0 +1,105 @@
+"use strict";
+
+const { ErrorCodes, NotSupportedError } = require("./errors");
+
+/**
+ * Whether the browser can route audio elements to a chosen output device.
+ * @returns {boolean}
+ */
+const isSinkSelectionSupported = () =>
+  typeof HTMLMediaElement !== "undefined" &&
+  typeof HTMLMediaElement.prototype.setSinkId === "function";
+
+const notSupported = () =>
+  Promise.reject(
+    new NotSupportedError(
+      ErrorCodes.NotSupported,
+      "Audio output selection is not supported by this browser"
+    )
+  );
+
+/**
+ * Play remote audio tracks in elements owned by the engine, all routed to
+ * the same output device.
+ * @returns {object} the audio output manager
+ */
+const createAudioOutput = () => {
+  //Audio elements by track
+  const elements = new Map();
+  let container;
+  let sinkId = null;
+
+  const getContainer = () => {
+    if (!container) {
+      container = document.createElement("div");
+      container.style.display = "none";
+      container.setAttribute("data-conference-engine", "remote-audio");
+      document.body.appendChild(container);
+    }
+    return container;
+  };
+
+  const applySink = (element, deviceId = sinkId) => {
+    if (!deviceId || !isSinkSelectionSupported()) return Promise.resolve();
+    return element.setSinkId(deviceId);
+  };
+
+  /**
+   * Start playing a remote audio track on the current output device.
+   * @param {RemoteAudioTrack} track
+   * @returns {Promise<void>} rejected if the output device could not be applied
+   */
+  const attach = (track) => {
+    if (elements.has(track)) return Promise.resolve();
+
+    const element = track.attach();
+    elements.set(track, element);
+    getContainer().appendChild(element);
+    return applySink(element);
+  };
+
+  /**
+   * @param {RemoteAudioTrack} track
+   */
+  const detach = (track) => {
+    const element = elements.get(track);
+    if (!element) return;
+
+    track.detach(element);
+    element.remove();
+    elements.delete(track);
+  };
+
+  const detachAll = () => {
+    Array.from(elements.keys()).forEach(detach);
+  };
+
+  /**
+   * Route every managed element, current and future, to the given device.
+   * @param {string} deviceId - an audiooutput device id
+   * @returns {Promise<void>} rejected, keeping the previous device, if any
+   * element could not be routed
+   */
+  const setSinkId = (deviceId) => {
+    if (!isSinkSelectionSupported()) return notSupported();
+
+    const managed = Array.from(elements.values());
+    return Promise.all(managed.map((element) => applySink(element, deviceId)))
+      .then(() => {
+        sinkId = deviceId;
+      })
+      .catch((error) => {
+        //Put back the elements that did switch, "" is the system default
+        managed.forEach((element) =>
+          element.setSinkId(sinkId || "").catch(() => {})
+        );
+        return Promise.reject(error);
+      });
+  };
+
+  const getSinkId = () => sinkId;
+
+  return { attach, detach, detachAll, setSinkId, getSinkId };
+};
+
+module.exports = { createAudioOutput, isSinkSelectionSupported };
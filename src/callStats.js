@@ -0,0 +1,238 @@
+"use strict";
+
+const StatsDirection = { Local: "local", Remote: "remote" };
+
+//Metrics of a track summarized over the session
+const sessionMetrics = [
+  "bitrate",
+  "packetLoss",
+  "jitter",
+  "roundTripTime",
+  "frameRate",
+];
+
+//Running aggregates of a metric, so long calls don't keep every sample
+const createAggregate = () => ({
+  count: 0,
+  sum: 0,
+  min: null,
+  max: null,
+  last: null,
+});
+
+const addToAggregate = (aggregate, value) => {
+  if (typeof value !== "number") return;
+  aggregate.count += 1;
+  aggregate.sum += value;
+  aggregate.min =
+    aggregate.min === null ? value : Math.min(aggregate.min, value);
+  aggregate.max =
+    aggregate.max === null ? value : Math.max(aggregate.max, value);
+  aggregate.last = value;
+};
+
+const average = (aggregate) =>
+  aggregate.count ? aggregate.sum / aggregate.count : null;
+
+/**
+ * Find which participant a track belongs to.
+ * @param {Room} room
+ * @param {string} direction - one of StatsDirection
+ * @param {string} trackSid
+ * @returns {string|null} the participant SID
+ */
+const findParticipantSid = (room, direction, trackSid) => {
+  if (direction === StatsDirection.Local) return room.localParticipant.sid;
+
+  const owner = Array.from(room.participants.values()).find((participant) =>
+    participant.tracks.has(trackSid)
+  );
+  return owner ? owner.sid : null;
+};
+
+/**
+ * Poll room.getStats() and turn it into a normalized per-track report,
+ * while summarizing the whole session.
+ * @param {function} onUpdate - called with every new report
+ * @returns {object} the collector
+ */
+const createStatsCollector = (onUpdate) => {
+  let room, timer, latestReport, session;
+  //Previous cumulative counters per track, to compute deltas
+  let previous = new Map();
+
+  const resetSession = () => {
+    session = {
+      startedAt: null,
+      endedAt: null,
+      samples: 0,
+      tracks: new Map(),
+    };
+    latestReport = null;
+    previous = new Map();
+  };
+  resetSession();
+
+  const normalizeTrack = (statsRoom, stats, kind, direction, timestamp) => {
+    const key = `${direction}-${stats.trackSid || stats.trackId}-${stats.ssrc}`;
+    const bytes =
+      direction === StatsDirection.Local
+        ? stats.bytesSent
+        : stats.bytesReceived;
+    const packets =
+      direction === StatsDirection.Local
+        ? stats.packetsSent
+        : stats.packetsReceived;
+
+    const last = previous.get(key);
+    previous.set(key, { bytes, packets, lost: stats.packetsLost, timestamp });
+
+    let bitrate = null;
+    let packetLoss = null;
+    if (last && timestamp > last.timestamp) {
+      bitrate = Math.round(
+        ((bytes - last.bytes) * 8 * 1000) / (timestamp - last.timestamp)
+      );
+      const lost = (stats.packetsLost || 0) - (last.lost || 0);
+      const total = lost + (packets - last.packets);
+      packetLoss = total > 0 ? (lost / total) * 100 : 0;
+    }
+
+    return {
+      trackSid: stats.trackSid,
+      trackId: stats.trackId,
+      //Simulcast sends a layer per ssrc under one track
+      ssrc: stats.ssrc,
+      kind,
+      direction,
+      participantSid: findParticipantSid(statsRoom, direction, stats.trackSid),
+      codec: stats.codec,
+      bitrate,
+      packetLoss,
+      jitter: typeof stats.jitter === "number" ? stats.jitter : null,
+      roundTripTime:
+        typeof stats.roundTripTime === "number" ? stats.roundTripTime : null,
+      frameRate: typeof stats.frameRate === "number" ? stats.frameRate : null,
+      resolution: stats.dimensions || null,
+    };
+  };
+
+  const addToSession = (tracks) => {
+    session.samples += 1;
+    tracks.forEach((track) => {
+      const key = `${track.direction}-${track.trackSid || track.trackId}-${
+        track.ssrc
+      }`;
+      if (!session.tracks.has(key)) {
+        const metrics = {};
+        sessionMetrics.forEach((name) => (metrics[name] = createAggregate()));
+        session.tracks.set(key, {
+          trackSid: track.trackSid,
+          ssrc: track.ssrc,
+          kind: track.kind,
+          direction: track.direction,
+          participantSid: track.participantSid,
+          metrics,
+        });
+      }
+      const { metrics } = session.tracks.get(key);
+      sessionMetrics.forEach((name) =>
+        addToAggregate(metrics[name], track[name])
+      );
+    });
+  };
+
+  /**
+   * Fetch and normalize the current stats of the room.
+   * @returns {Promise<object>} { timestamp, tracks }
+   */
+  const collect = async () => {
+    const statsRoom = room;
+    if (!statsRoom) return latestReport;
+
+    const statsReports = await statsRoom.getStats();
+    //Stopped or moved to another room while waiting
+    if (room !== statsRoom) return latestReport;
+    const timestamp = Date.now();
+    const tracks = [];
+
+    statsReports.forEach((report) => {
+      const add = (list, kind, direction) =>
+        (list || []).forEach((stats) =>
+          tracks.push(
+            normalizeTrack(statsRoom, stats, kind, direction, timestamp)
+          )
+        );
+      add(report.localAudioTrackStats, "audio", StatsDirection.Local);
+      add(report.localVideoTrackStats, "video", StatsDirection.Local);
+      add(report.remoteAudioTrackStats, "audio", StatsDirection.Remote);
+      add(report.remoteVideoTrackStats, "video", StatsDirection.Remote);
+    });
+
+    latestReport = { timestamp, tracks };
+    addToSession(tracks);
+    onUpdate(latestReport);
+    return latestReport;
+  };
+
+  /**
+   * Start polling the given room.
+   * @param {Room} connectedRoom
+   * @param {number} interval - milliseconds between polls, 0 to only collect on demand
+   */
+  const start = (connectedRoom, interval) => {
+    stop();
+    room = connectedRoom;
+    previous = new Map();
+    if (!session.startedAt) session.startedAt = Date.now();
+    session.endedAt = null;
+
+    if (interval > 0) {
+      timer = setInterval(() => {
+        //Stats are best effort, a failed poll is simply skipped
+        collect().catch(() => {});
+      }, interval);
+    }
+  };
+
+  /**
+   * Stop polling, e.g. when the room disconnects.
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    if (room && session.startedAt) session.endedAt = Date.now();
+    room = null;
+  };
+
+  /**
+   * @returns {object} averages for the whole session, per track and ssrc
+   */
+  const summarize = () => {
+    const endedAt = session.endedAt || Date.now();
+    return {
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      duration: session.startedAt ? endedAt - session.startedAt : 0,
+      samples: session.samples,
+      tracks: Array.from(session.tracks.values()).map(
+        ({ metrics, ...track }) => ({
+          ...track,
+          averageBitrate: average(metrics.bitrate),
+          averagePacketLoss: average(metrics.packetLoss),
+          maxPacketLoss: metrics.packetLoss.max,
+          averageJitter: average(metrics.jitter),
+          maxJitter: metrics.jitter.max,
+          averageRoundTripTime: average(metrics.roundTripTime),
+          averageFrameRate: average(metrics.frameRate),
+        })
+      ),
+    };
+  };
+
+  const getLatestReport = () => latestReport;
+
+  return { start, stop, collect, summarize, resetSession, getLatestReport };
+};
+
+module.exports = { StatsDirection, createStatsCollector };
@@ -0,0 +1,276 @@
+"use strict";
+
+const { isMobile } = require("./browser");
+const defaultConnectOptions = require("./defaultConnectOptions");
+const { invalidArgument } = require("./errors");
+
+const ConnectProfiles = {
+  Default: "default",
+  Grid: "grid",
+  Presentation: "presentation",
+  Collaboration: "collaboration",
+  AudioOnly: "audio-only",
+  LowBandwidth: "low-bandwidth",
+};
+
+/**
+ * Overrides applied on top of defaultConnectOptions for each named profile.
+ */
+const profileOverrides = {
+  [ConnectProfiles.Default]: {},
+  [ConnectProfiles.Grid]: {
+    bandwidthProfile: {
+      video: {
+        mode: "grid",
+        dominantSpeakerPriority: "standard",
+      },
+    },
+  },
+  [ConnectProfiles.Presentation]: {
+    bandwidthProfile: {
+      video: {
+        mode: "presentation",
+        dominantSpeakerPriority: "standard",
+      },
+    },
+  },
+  [ConnectProfiles.Collaboration]: {
+    bandwidthProfile: {
+      video: {
+        mode: "collaboration",
+        dominantSpeakerPriority: "high",
+      },
+    },
+  },
+  [ConnectProfiles.AudioOnly]: {
+    //Lets the engine switch off remote video, see setAudioOnly
+    bandwidthProfile: {
+      video: {
+        clientTrackSwitchOffControl: "manual",
+      },
+    },
+    video: false,
+  },
+  [ConnectProfiles.LowBandwidth]: {
+    bandwidthProfile: {
+      video: {
+        mode: "collaboration",
+        maxSubscriptionBitrate: 500000,
+        renderDimensions: {
+          high: { height: 360, width: 640 },
+          standard: { height: 90, width: 160 },
+        },
+      },
+    },
+    video: {
+      height: 360,
+      frameRate: 15,
+      width: 640,
+    },
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isDimensions = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).every((key) => ["height", "width"].includes(key)) &&
+  typeof value.height === "number" &&
+  typeof value.width === "number";
+
+const oneOf = (...allowed) => (value) => allowed.includes(value);
+const isBoolean = (value) => typeof value === "boolean";
+const isNumber = (value) => typeof value === "number" && !isNaN(value);
+const isString = (value) => typeof value === "string";
+const isArray = (value) => Array.isArray(value);
+const isTrackOptions = (value) => isBoolean(value) || isPlainObject(value);
+const isAny = () => true;
+
+const trackPriority = oneOf("low", "standard", "high");
+
+/**
+ * Accepted ConnectOptions keys and their validators. A nested object
+ * is validated recursively, a function is called with the value.
+ */
+const connectOptionsSchema = {
+  name: isString,
+  audio: isTrackOptions,
+  video: isTrackOptions,
+  tracks: isArray,
+  automaticSubscription: isBoolean,
+  dominantSpeaker: isBoolean,
+  networkQuality: (value) =>
+    isBoolean(value) ||
+    (isPlainObject(value) &&
+      Object.keys(value).every((key) => ["local", "remote"].includes(key)) &&
+      [undefined, 1, 2, 3].includes(value.local) &&
+      [undefined, 0, 1, 2, 3].includes(value.remote)),
+  logLevel: (value) =>
+    oneOf("debug", "info", "warn", "error", "off")(value) || isPlainObject(value),
+  loggerName: isString,
+  maxAudioBitrate: (value) => value === null || isNumber(value),
+  maxVideoBitrate: (value) => value === null || isNumber(value),
+  preferredAudioCodecs: isArray,
+  preferredVideoCodecs: (value) => value === "auto" || isArray(value),
+  region: isString,
+  insights: isBoolean,
+  iceServers: isArray,
+  iceTransportPolicy: oneOf("all", "relay"),
+  enableDscp: isBoolean,
+  //Deprecated name of enableDscp, still read by twilio-video 2.x
+  dscpTagging: isBoolean,
+  notifyWarnings: isArray,
+  eventListener: isAny,
+  bandwidthProfile: {
+    video: {
+      mode: oneOf("grid", "collaboration", "presentation"),
+      maxTracks: isNumber,
+      maxSubscriptionBitrate: isNumber,
+      dominantSpeakerPriority: trackPriority,
+      trackSwitchOffMode: oneOf("detected", "predicted", "disabled"),
+      clientTrackSwitchOffControl: oneOf("auto", "manual"),
+      contentPreferencesMode: oneOf("auto", "manual"),
+      renderDimensions: {
+        low: isDimensions,
+        standard: isDimensions,
+        high: isDimensions,
+      },
+    },
+  },
+};
+
+/**
+ * Deep clone a plain JSON-like value.
+ * @param {any} value
+ * @returns {any}
+ */
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = clone(value[key]);
+      return copy;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Recursively merge overrides onto a copy of base. Plain objects are merged
+ * key by key, null removes the key, everything else (arrays, primitives, false)
+ * replaces.
+ * @param {object} base
+ * @param {object} overrides
+ * @returns {object} a new object, neither argument is modified
+ */
+const deepMerge = (base, overrides) => {
+  const merged = clone(base);
+  if (!isPlainObject(overrides)) return merged;
+
+  Object.keys(overrides).forEach((key) => {
+    const value = overrides[key];
+    if (typeof value === "undefined") return;
+    if (value === null) {
+      delete merged[key];
+      return;
+    }
+
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? deepMerge(merged[key], value)
+        : clone(value);
+  });
+  return merged;
+};
+
+const validateAgainst = (schema, options, path, errors) => {
+  Object.keys(options).forEach((key) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    const rule = schema[key];
+    const value = options[key];
+
+    if (typeof rule === "undefined") {
+      errors.push(`Unknown connect option "${keyPath}"`);
+    } else if (typeof rule === "function") {
+      if (!rule(value)) errors.push(`Invalid value for "${keyPath}"`);
+    } else if (!isPlainObject(value)) {
+      errors.push(`"${keyPath}" must be an object`);
+    } else {
+      validateAgainst(rule, value, keyPath, errors);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Validate connect options against the supported schema.
+ * @param {object} options - the connect options to check
+ * @returns {string[]} the list of problems found, empty when valid
+ */
+const validateConnectOptions = (options) => {
+  if (!isPlainObject(options)) return ["Connect options must be an object"];
+  return validateAgainst(connectOptionsSchema, options, "", []);
+};
+
+/**
+ * Build a fresh set of connect options from a named profile and caller overrides.
+ * @param {string} [profile] - one of ConnectProfiles, defaults to "default"
+ * @param {object} [overrides] - options deep merged on top of the profile, null
+ * removes an option of the profile, e.g. bandwidthProfile.video.renderDimensions
+ * @returns {object} a new connect options object, safe to mutate
+ */
+const getConnectOptions = (profile = ConnectProfiles.Default, overrides) => {
+  const preset = profileOverrides[profile];
+  if (typeof preset === "undefined")
+    throw invalidArgument(`Unknown connect profile "${profile}"`);
+
+  let options = deepMerge(defaultConnectOptions, preset);
+
+  // For mobile browsers, limit the maximum incoming video bitrate to 2.5 Mbps.
+  if (isMobile && !options.bandwidthProfile.video.maxSubscriptionBitrate) {
+    options.bandwidthProfile.video.maxSubscriptionBitrate = 2500000;
+  }
+
+  options = deepMerge(options, overrides);
+
+  //twilio-video turns contentPreferencesMode off when the deprecated
+  //renderDimensions are given, and the defaults always give them
+  const videoProfile =
+    options.bandwidthProfile && options.bandwidthProfile.video;
+  if (videoProfile && videoProfile.contentPreferencesMode === "manual")
+    delete videoProfile.renderDimensions;
+
+  const errors = validateConnectOptions(options);
+  if (errors.length)
+    throw invalidArgument(`Invalid connect options: ${errors.join(", ")}`);
+
+  return options;
+};
+
+/**
+ * Resolve what callers pass to joinRoom into concrete connect options.
+ * Accepts nothing, a profile name, or an options object that may name
+ * its base profile with a "profile" key.
+ * @param {string|object} [connectOptions]
+ * @returns {object} a new connect options object
+ */
+const resolveConnectOptions = (connectOptions) => {
+  if (typeof connectOptions === "string")
+    return getConnectOptions(connectOptions);
+
+  if (!connectOptions) return getConnectOptions();
+
+  const { profile, ...overrides } = connectOptions;
+  return getConnectOptions(profile, overrides);
+};
+
+module.exports = {
+  ConnectProfiles,
+  deepMerge,
+  validateConnectOptions,
+  getConnectOptions,
+  resolveConnectOptions,
+};
@@ -0,0 +1,60 @@
+"use strict";
+
+const ConnectionStates = {
+  Idle: "idle",
+  Connecting: "connecting",
+  Connected: "connected",
+  Reconnecting: "reconnecting",
+  Disconnected: "disconnected",
+};
+
+//Allowed next states for each state
+const transitions = {
+  [ConnectionStates.Idle]: [ConnectionStates.Connecting],
+  [ConnectionStates.Connecting]: [
+    ConnectionStates.Connected,
+    ConnectionStates.Disconnected,
+  ],
+  [ConnectionStates.Connected]: [
+    ConnectionStates.Reconnecting,
+    ConnectionStates.Disconnected,
+  ],
+  //Connecting when joinRoom replaces a pending rejoin
+  [ConnectionStates.Reconnecting]: [
+    ConnectionStates.Reconnecting,
+    ConnectionStates.Connecting,
+    ConnectionStates.Connected,
+    ConnectionStates.Disconnected,
+  ],
+  [ConnectionStates.Disconnected]: [ConnectionStates.Connecting],
+};
+
+/**
+ * Track the connection state of an engine and report valid transitions.
+ * @param {function} onChange - called with { state, previousState, ...details }
+ * @returns {object} the state machine
+ */
+const createConnectionStateMachine = (onChange) => {
+  let state = ConnectionStates.Idle;
+
+  /**
+   * Move to the given state, if allowed from the current one.
+   * @param {string} nextState - one of ConnectionStates
+   * @param {object} [details] - extra info passed on to onChange, e.g. { error }
+   * @returns {boolean} whether the transition happened
+   */
+  const transition = (nextState, details) => {
+    if (!transitions[state].includes(nextState)) return false;
+
+    const previousState = state;
+    state = nextState;
+    onChange({ ...details, state, previousState });
+    return true;
+  };
+
+  const getState = () => state;
+
+  return { transition, getState };
+};
+
+module.exports = { ConnectionStates, createConnectionStateMachine };
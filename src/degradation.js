@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * How much media the engine sends and receives to cope with the network,
+ * from best to worst.
+ */
+const DegradationLevels = {
+  None: "none",
+  //Local video capped to a low bitrate
+  Reduced: "reduced",
+  //No video sent or received
+  AudioOnly: "audioOnly",
+};
+
+const ranks = [
+  DegradationLevels.None,
+  DegradationLevels.Reduced,
+  DegradationLevels.AudioOnly,
+];
+
+/**
+ * Network quality levels (0 - 5) are those of the local participant.
+ */
+const defaultDegradationOptions = {
+  //Degrade to Reduced at this level or below
+  reduceAt: 2,
+  //Degrade to AudioOnly at this level or below
+  audioOnlyAt: 1,
+  //Recover one step at a time at this level or above
+  recoverAt: 3,
+  //Milliseconds a level must last before degrading
+  degradeDelay: 3000,
+  //Milliseconds a level must last before each recovery step
+  recoverDelay: 15000,
+  //Bits per second the local video is capped to when Reduced
+  reducedMaxVideoBitrate: 150000,
+};
+
+/**
+ * Decide when to degrade or recover media from network quality levels.
+ * Degrading jumps straight to the level needed, recovering goes one step at a
+ * time, and both wait for the network to stay there for a while.
+ * @param {function} onChange - called with { level, previousLevel, networkQualityLevel }
+ * @param {object} [options] - see defaultDegradationOptions
+ * @returns {object} the policy
+ */
+const createDegradationPolicy = (onChange, options = {}) => {
+  options = { ...defaultDegradationOptions, ...options };
+
+  let level = DegradationLevels.None;
+  let networkQualityLevel = null;
+  let pending = null;
+
+  const cancelPending = () => {
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pending = null;
+  };
+
+  const targetOf = (quality) => {
+    if (quality <= options.audioOnlyAt) return DegradationLevels.AudioOnly;
+    if (quality <= options.reduceAt) return DegradationLevels.Reduced;
+    if (quality >= options.recoverAt) return DegradationLevels.None;
+    return level;
+  };
+
+  const evaluate = () => {
+    if (networkQualityLevel === null) return;
+
+    const current = ranks.indexOf(level);
+    const target = ranks.indexOf(targetOf(networkQualityLevel));
+    if (target === current) {
+      cancelPending();
+      return;
+    }
+
+    const degrading = target > current;
+    const next = degrading ? ranks[target] : ranks[current - 1];
+    if (pending && pending.level === next) return;
+
+    cancelPending();
+    pending = {
+      level: next,
+      timer: setTimeout(
+        () => {
+          pending = null;
+          const previousLevel = level;
+          level = next;
+          onChange({ level, previousLevel, networkQualityLevel });
+          //Keep recovering while the network stays good
+          evaluate();
+        },
+        degrading ? options.degradeDelay : options.recoverDelay
+      ),
+    };
+  };
+
+  /**
+   * @param {number} quality - the latest local network quality level
+   */
+  const update = (quality) => {
+    networkQualityLevel = quality;
+    evaluate();
+  };
+
+  const getLevel = () => level;
+
+  const getOptions = () => options;
+
+  /**
+   * Back to DegradationLevels.None without notifying, e.g. after leaving a room
+   */
+  const reset = () => {
+    cancelPending();
+    level = DegradationLevels.None;
+    networkQualityLevel = null;
+  };
+
+  return { update, getLevel, getOptions, reset };
+};
+
+module.exports = { DegradationLevels, createDegradationPolicy };
@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * How a preferred device was found among the current ones, see resolveDevice
+ */
+const DeviceMatches = {
+  DeviceId: "deviceId",
+  Label: "label",
+  GroupId: "groupId",
+  //Devices can't be listed with ids and labels yet, e.g. before permission was given
+  Unchecked: "unchecked",
+  None: "none",
+};
+
+/**
+ * @param {MediaDeviceInfo|object} device
+ * @returns {object} { deviceId, label, groupId }, what is stored to find the device again
+ */
+const describeDevice = (device) => ({
+  deviceId: device.deviceId,
+  label: device.label || "",
+  groupId: device.groupId || "",
+});
+
+const listDevices = async (deviceKind) => {
+  if (typeof navigator === "undefined" || !navigator.mediaDevices) return null;
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === deviceKind);
+  } catch (e) {
+    return null;
+  }
+};
+
+const isDefaultEntry = (device) =>
+  device.deviceId === "default" || device.deviceId === "communications";
+
+/**
+ * Pick the best match for a stored device among the current ones. Ids change
+ * when site data is cleared and per session in Safari, labels and groups don't.
+ * @param {object} preferred - { deviceId, label, groupId }
+ * @param {MediaDeviceInfo[]} devices - of the same kind
+ * @returns {object} { device, matchedBy }, device null when matchedBy is None
+ */
+const matchDevice = (preferred, devices) => {
+  const byId = devices.find((d) => d.deviceId === preferred.deviceId);
+  if (byId) return { device: byId, matchedBy: DeviceMatches.DeviceId };
+
+  //Chrome lists the system default again as "default", skip that alias
+  const candidates = devices.filter((d) => !isDefaultEntry(d));
+
+  if (preferred.label) {
+    const byLabel = candidates.filter((d) => d.label === preferred.label);
+    const device =
+      byLabel.find(
+        (d) => preferred.groupId && d.groupId === preferred.groupId
+      ) || byLabel[0];
+    if (device) return { device, matchedBy: DeviceMatches.Label };
+  }
+
+  //A group is one physical device, only trust it when it has a single entry of this kind
+  if (preferred.groupId) {
+    const byGroup = candidates.filter((d) => d.groupId === preferred.groupId);
+    if (byGroup.length === 1)
+      return { device: byGroup[0], matchedBy: DeviceMatches.GroupId };
+  }
+
+  return { device: null, matchedBy: DeviceMatches.None };
+};
+
+/**
+ * Find a stored device among those currently available, without prompting.
+ * @param {string} deviceKind - "audioinput", "audiooutput" or "videoinput"
+ * @param {object} preferred - { deviceId, label, groupId }
+ * @returns {Promise<object>} { device, matchedBy }, device null unless matched
+ * by DeviceId, Label or GroupId
+ */
+const resolveDevice = async (deviceKind, preferred) => {
+  const devices = await listDevices(deviceKind);
+  if (!devices || devices.every((device) => !device.deviceId))
+    return { device: null, matchedBy: DeviceMatches.Unchecked };
+
+  return matchDevice(preferred, devices);
+};
+
+/**
+ * @param {string} deviceKind - "audioinput", "audiooutput" or "videoinput"
+ * @param {string} deviceId
+ * @returns {Promise<object>} { deviceId, label, groupId }, label and groupId
+ * empty when the device isn't listed
+ */
+const findDeviceDescription = async (deviceKind, deviceId) => {
+  const devices = (await listDevices(deviceKind)) || [];
+  const device = devices.find((d) => d.deviceId === deviceId);
+  return describeDevice(device || { deviceId });
+};
+
+module.exports = {
+  DeviceMatches,
+  describeDevice,
+  matchDevice,
+  resolveDevice,
+  findDeviceDescription,
+};
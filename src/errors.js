@@ -0,0 +1,184 @@
+"use strict";
+
+const {
+  MediaUnavailableReasons,
+  getCaptureErrorReason,
+} = require("./mediaAccess");
+
+/**
+ * Stable codes of EngineError, safe to switch on in apps
+ */
+const ErrorCodes = {
+  //MediaAccessError
+  PermissionDenied: "permissionDenied",
+  DeviceNotFound: "deviceNotFound",
+  DeviceInUse: "deviceInUse",
+  MediaFailed: "mediaFailed",
+  //ConnectionError
+  NotConnected: "notConnected",
+  TokenExpired: "tokenExpired",
+  TokenInvalid: "tokenInvalid",
+  TokenRoomMismatch: "tokenRoomMismatch",
+  RoomFull: "roomFull",
+  ConnectionFailed: "connectionFailed",
+  //ScreenShareError
+  ScreenShareCancelled: "screenShareCancelled",
+  //Blocked by the operating system, e.g. macOS screen recording permission
+  ScreenSharePermissionDenied: "screenSharePermissionDenied",
+  ScreenShareFailed: "screenShareFailed",
+  ScreenShareBusy: "screenShareBusy",
+  //NotSupportedError
+  UnsupportedBrowser: "unsupportedBrowser",
+  NotSupported: "notSupported",
+  //UsageError
+  InvalidArgument: "invalidArgument",
+  InvalidState: "invalidState",
+  Unknown: "unknown",
+};
+
+/**
+ * Base class of every error the engine throws, rejects with or reports
+ * with ErrorOccured.
+ */
+class EngineError extends Error {
+  /**
+   * @param {string} code - one of ErrorCodes
+   * @param {string} message
+   * @param {any} [cause] - the original error, e.g. a DOMException or TwilioError
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+//Camera, microphone and speaker access
+class MediaAccessError extends EngineError {}
+
+//Room connection, tokens and calls made while not connected
+class ConnectionError extends EngineError {}
+
+class ScreenShareError extends EngineError {}
+
+//The browser lacks a capability
+class NotSupportedError extends EngineError {}
+
+//The app called the engine with bad arguments or at the wrong time
+class UsageError extends EngineError {}
+
+//Names set on the prototypes, class names don't survive minification
+EngineError.prototype.name = "EngineError";
+MediaAccessError.prototype.name = "MediaAccessError";
+ConnectionError.prototype.name = "ConnectionError";
+ScreenShareError.prototype.name = "ScreenShareError";
+NotSupportedError.prototype.name = "NotSupportedError";
+UsageError.prototype.name = "UsageError";
+
+const captureReasonCodes = {
+  [MediaUnavailableReasons.PermissionDenied]: ErrorCodes.PermissionDenied,
+  [MediaUnavailableReasons.NotFound]: ErrorCodes.DeviceNotFound,
+  [MediaUnavailableReasons.InUse]: ErrorCodes.DeviceInUse,
+  [MediaUnavailableReasons.Unknown]: ErrorCodes.MediaFailed,
+};
+
+//twilio-video error codes
+const twilioErrorCodes = {
+  20101: ErrorCodes.TokenInvalid, //AccessTokenInvalidError
+  20102: ErrorCodes.TokenInvalid, //AccessTokenHeaderInvalidError
+  20103: ErrorCodes.TokenInvalid, //AccessTokenIssuerInvalidError
+  20104: ErrorCodes.TokenExpired, //AccessTokenExpiredError
+  20105: ErrorCodes.TokenInvalid, //AccessTokenNotYetValidError
+  20106: ErrorCodes.TokenInvalid, //AccessTokenGrantsInvalidError
+  20107: ErrorCodes.TokenInvalid, //AccessTokenSignatureInvalidError
+  53105: ErrorCodes.RoomFull, //RoomMaxParticipantsExceededError
+};
+
+const messageOf = (error) =>
+  (error && error.message) || (error ? String(error) : "unknown error");
+
+/**
+ * @param {Error} error - a getUserMedia or createLocalTrack failure
+ * @param {string} [message] - what the engine was doing, the cause's message is appended
+ * @returns {MediaAccessError}
+ */
+const fromCaptureError = (error, message) =>
+  new MediaAccessError(
+    captureReasonCodes[getCaptureErrorReason(error)],
+    message ? `${message} - ${messageOf(error)}` : messageOf(error),
+    error
+  );
+
+/**
+ * @param {TwilioError} error - a twilio-video connection failure
+ * @param {string} [message] - what the engine was doing, the cause's message is appended
+ * @returns {ConnectionError}
+ */
+const fromTwilioError = (error, message) =>
+  new ConnectionError(
+    twilioErrorCodes[error && error.code] || ErrorCodes.ConnectionFailed,
+    message ? `${message} - ${messageOf(error)}` : messageOf(error),
+    error
+  );
+
+//DOMExceptions carry a legacy numeric code too, TwilioError codes are 20000 - 53999
+const isTwilioError = (error) =>
+  Boolean(error) &&
+  (error.name === "TwilioError" ||
+    (typeof error.code === "number" &&
+      error.code >= 20000 &&
+      error.code <= 53999));
+
+const isCaptureError = (error) =>
+  Boolean(error) &&
+  getCaptureErrorReason(error) !== MediaUnavailableReasons.Unknown;
+
+/**
+ * Wrap anything thrown into an EngineError, keeping it as the cause.
+ * @param {any} error - an Error, TwilioError, DOMException or string
+ * @param {string} [message] - what the engine was doing
+ * @returns {EngineError} the error itself when it already is one
+ */
+const toEngineError = (error, message) => {
+  if (error instanceof EngineError) return error;
+  if (isCaptureError(error)) return fromCaptureError(error, message);
+  if (isTwilioError(error)) return fromTwilioError(error, message);
+
+  return new EngineError(
+    ErrorCodes.Unknown,
+    message ? `${message} - ${messageOf(error)}` : messageOf(error),
+    error
+  );
+};
+
+/**
+ * @param {string} action - what could not be done, e.g. "turn on audio"
+ * @returns {ConnectionError}
+ */
+const notConnected = (action) =>
+  new ConnectionError(
+    ErrorCodes.NotConnected,
+    `Can't ${action} - not connected to a room`
+  );
+
+const invalidArgument = (message) =>
+  new UsageError(ErrorCodes.InvalidArgument, message);
+
+const invalidState = (message) =>
+  new UsageError(ErrorCodes.InvalidState, message);
+
+module.exports = {
+  ErrorCodes,
+  EngineError,
+  MediaAccessError,
+  ConnectionError,
+  ScreenShareError,
+  NotSupportedError,
+  UsageError,
+  fromCaptureError,
+  fromTwilioError,
+  toEngineError,
+  notConnected,
+  invalidArgument,
+  invalidState,
+};
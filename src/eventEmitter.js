@@ -0,0 +1,90 @@
+"use strict";
+
+const { invalidArgument } = require("./errors");
+
+const WILDCARD = "*";
+
+/**
+ * Create a minimal event emitter. Listeners of the wildcard event "*"
+ * receive every event as (eventType, args).
+ * @param {function} [onListenerError] - called with (error, eventType) when a
+ * listener throws, so one failing listener does not stop the others
+ * @returns {object} the emitter with on, off, once, emit and listenerCount
+ */
+const createEventEmitter = (onListenerError) => {
+  const listeners = new Map();
+
+  const on = (eventType, handler) => {
+    if (typeof handler !== "function")
+      throw invalidArgument(`Listener for ${eventType} must be a function`);
+
+    if (!listeners.has(eventType)) listeners.set(eventType, []);
+    listeners.get(eventType).push(handler);
+
+    //Return an unsubscribe function for convenience
+    return () => off(eventType, handler);
+  };
+
+  const off = (eventType, handler) => {
+    if (typeof eventType === "undefined") {
+      listeners.clear();
+      return;
+    }
+
+    const handlers = listeners.get(eventType);
+    if (!handlers) return;
+
+    if (typeof handler === "undefined") {
+      listeners.delete(eventType);
+      return;
+    }
+
+    //once() wraps the handler, so match on the original as well
+    const index = handlers.findIndex(
+      (h) => h === handler || h.listener === handler
+    );
+    if (index !== -1) handlers.splice(index, 1);
+    if (!handlers.length) listeners.delete(eventType);
+  };
+
+  const once = (eventType, handler) => {
+    const wrapper = (...args) => {
+      off(eventType, wrapper);
+      handler(...args);
+    };
+    wrapper.listener = handler;
+    return on(eventType, wrapper);
+  };
+
+  const invoke = (handler, eventType, args) => {
+    try {
+      handler(...args);
+    } catch (error) {
+      if (onListenerError) onListenerError(error, eventType);
+    }
+  };
+
+  /**
+   * @param {string} eventType - the event to fire
+   * @param {any} args - the info associated with the event
+   */
+  const emit = (eventType, args) => {
+    //Copy so listeners added or removed while emitting don't affect this pass
+    (listeners.get(eventType) || [])
+      .slice()
+      .forEach((handler) => invoke(handler, eventType, [args]));
+
+    if (eventType !== WILDCARD) {
+      (listeners.get(WILDCARD) || [])
+        .slice()
+        .forEach((handler) => invoke(handler, eventType, [eventType, args]));
+    }
+  };
+
+  const listenerCount = (eventType) =>
+    (listeners.get(eventType) || []).length;
+
+  return { on, off, once, emit, listenerCount };
+};
+
+module.exports = { createEventEmitter, WILDCARD };
@@ -9,12 +9,91 @@ const {
 } = require("./browser");
 const Media = require("./selectmedia");
 const attachMicVolumeListener = require("./miclevel");
-const { createScreenTrack } = require("./screenshare");
+const {
+  TrackSources,
+  getTrackSource,
+  ScreenShareModes,
+  applyScreenShareMode,
+  getScreenShareModeSettings,
+  DisplaySurfaces,
+  CursorModes,
+  createScreenTracks,
+} = require("./screenshare");
 const getRoomCredentials = require("./Util/getRoomCredentials");
-const defaultConnectOptions = require("./defaultConnectOptions");
-
+const { createEventEmitter, WILDCARD } = require("./eventEmitter");
+const {
+  ConnectProfiles,
+  getConnectOptions,
+  resolveConnectOptions,
+  validateConnectOptions,
+} = require("./connectOptions");
+const {
+  ConnectionStates,
+  createConnectionStateMachine,
+} = require("./connectionState");
+const { createNetworkQualityMonitor } = require("./networkQuality");
+const { createStatsCollector } = require("./callStats");
+const Preflight = require("./preflight");
+const { MessageTypes, createMessaging } = require("./messaging");
+const {
+  createAudioOutput,
+  isSinkSelectionSupported,
+} = require("./audioOutput");
+const {
+  ModerationEvents,
+  ModerationRequests,
+  createModeration,
+} = require("./moderation");
+const { createRenderer } = require("./renderer");
+const { LayoutModes, createLayout } = require("./layout");
+const { createTrackControl } = require("./trackControl");
+const { DegradationLevels, createDegradationPolicy } = require("./degradation");
+const {
+  MediaUnavailableReasons,
+  createAvailableTracks,
+  createTrackWithFallback,
+} = require("./mediaAccess");
+const {
+  ErrorCodes,
+  EngineError,
+  MediaAccessError,
+  ConnectionError,
+  ScreenShareError,
+  NotSupportedError,
+  UsageError,
+  fromCaptureError,
+  toEngineError,
+  notConnected,
+  invalidArgument,
+  invalidState,
+} = require("./errors");
+const {
+  decodeAccessToken,
+  isExpired,
+  validateAccessToken,
+} = require("./accessToken");
+const { StorageTypes, createPreferences } = require("./preferences");
+const {
+  DeviceMatches,
+  describeDevice,
+  resolveDevice,
+  findDeviceDescription,
+} = require("./deviceMatch");
+
+/**
+ * Room lifecycle, in order, each fired once per connection:
+ * RoomConnecting -> RoomConnected -> (RoomReconnecting -> RoomReconnected)*
+ * -> RoomDisconnected ({ room, reason, error, willRejoin }) -> RoomCompleted
+ * ({ room, reason, error }). RoomCompleted ends the session whenever it wasn't
+ * ended by an error: the user left, was kicked or the room ended. After an error
+ * ErrorOccured is fired instead, unless the engine rejoins.
+ */
 const conferenceEvents = {
+  RoomConnecting: "RoomConnecting",
   RoomConnected: "RoomConnected",
+  RoomReconnecting: "RoomReconnecting",
+  RoomReconnected: "RoomReconnected",
+  RoomDisconnected: "RoomDisconnected",
   RoomCompleted: "RoomCompleted",
   ParticipantConnected: "ParticipantConnected",
   ParticipantDisconnected: "ParticipantDisconnected",
@@ -23,33 +102,233 @@ const conferenceEvents = {
   DominantSpeakerChanged: "DominantSpeakerChanged",
   ExistingParticipantsReportingComplete:
     "ExistingParticipantsReportingComplete",
+  ConnectionStateChanged: "ConnectionStateChanged",
+  ParticipantReconnecting: "ParticipantReconnecting",
+  ParticipantReconnected: "ParticipantReconnected",
+  NetworkQualityChanged: "NetworkQualityChanged",
+  StatsUpdated: "StatsUpdated",
+  MessageReceived: "MessageReceived",
+  ParticipantMuteChanged: "ParticipantMuteChanged",
+  MediaDeviceSwitched: "MediaDeviceSwitched",
+  MediaDeviceLost: "MediaDeviceLost",
+  MediaUnavailable: "MediaUnavailable",
+  LayoutChanged: "LayoutChanged",
+  TrackSwitchedOff: "TrackSwitchedOff",
+  TrackSwitchedOn: "TrackSwitchedOn",
+  AudioOnlyChanged: "AudioOnlyChanged",
+  MediaDegradationChanged: "MediaDegradationChanged",
+  PreferredDeviceNotFound: "PreferredDeviceNotFound",
+  ScreenShareEnded: "ScreenShareEnded",
+  RemoteScreenShareStarted: "RemoteScreenShareStarted",
+  RemoteScreenShareStopped: "RemoteScreenShareStopped",
+  AccessTokenExpiring: "AccessTokenExpiring",
+  AccessTokenRefreshed: "AccessTokenRefreshed",
+  ...ModerationEvents,
   ErrorOccured: "ErrorOccured",
   Debug: "Debug",
 };
 
 const MediaType = { Video: "video", Audio: "audio" };
 
-const TwilioVideoConferenceEngine = function () {
-  var eventCallbacks, currentRoom, currentConnectOptions, currentScreenTrack;
+/**
+ * Why the local participant is no longer in the room, see RoomDisconnected
+ */
+const DisconnectReasons = {
+  Left: "left",
+  Kicked: "kicked",
+  RoomEnded: "ended",
+  Error: "error",
+};
+
+//twilio-video error codes
+const RoomCompletedErrorCode = 53118;
+const KickedErrorCodes = [
+  53204, //ParticipantNotFoundError - removed via the REST API
+  53205, //ParticipantDuplicateIdentityError - replaced by a new join with the same identity
+];
+//Signaling drops twilio-video could not recover from by itself
+const SignalingErrorCodes = [
+  53000, //SignalingConnectionError
+  53001, //SignalingConnectionDisconnectedError
+  53002, //SignalingConnectionTimeoutError
+];
+const AccessTokenExpiredErrorCode = 20104;
+const TokenErrorCodes = [
+  ErrorCodes.TokenExpired,
+  ErrorCodes.TokenInvalid,
+  ErrorCodes.TokenRoomMismatch,
+];
+
+const defaultRejoinOptions = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 30000,
+};
+
+const defaultStatsInterval = 10000;
+
+const defaultTokenExpiryWarning = 60000;
+
+//MediaDeviceInfo kinds of the device preferences
+const preferredDeviceKinds = {
+  audioInputDevice: "audioinput",
+  audioOutputDevice: "audiooutput",
+  videoInputDevice: "videoinput",
+};
+
+const MuteModes = { Unpublish: "unpublish", Disable: "disable" };
+
+/**
+ * Why the device of a published track changed, see MediaDeviceSwitched
+ */
+const DeviceSwitchReasons = { User: "user", DeviceLost: "deviceLost" };
+
+/**
+ * Why the local screen share ended, see ScreenShareEnded
+ */
+const ScreenShareEndReasons = {
+  //stopScreenShare was called
+  Stopped: "stopped",
+  //The user stopped it from the browser, or the shared window closed
+  BrowserStopped: "browserStopped",
+  //The room was left or lost
+  Disconnected: "disconnected",
+  //Another participant started presenting at the same time, see engineOptions.singlePresenter
+  Preempted: "preempted",
+};
+
+/**
+ * Who turned audio-only on, see AudioOnlyChanged
+ */
+const AudioOnlyReasons = { User: "user", NetworkQuality: "networkQuality" };
+
+/**
+ * @param {TwilioError} [error] - the error the room disconnected with, if any
+ * @returns {string} one of DisconnectReasons
+ */
+const getDisconnectReason = (error) => {
+  if (!error) return DisconnectReasons.Left;
+  if (error.code === RoomCompletedErrorCode) return DisconnectReasons.RoomEnded;
+  if (KickedErrorCodes.includes(error.code)) return DisconnectReasons.Kicked;
+  return DisconnectReasons.Error;
+};
+
+/**
+ * Create a conference engine. Every instance owns its own room, event
+ * callbacks and preview tracks, so several engines (e.g. a lobby preview and a
+ * live call) can live on the same page. Device preferences are shared by the
+ * instances using the same storage and storageNamespace.
+ * @param {object} [engineOptions]
+ * @param {boolean|object} [engineOptions.rejoin] - rejoin the room with the last
+ * token and options after a signaling drop; true for the defaults, or
+ * { maxAttempts, initialDelay, maxDelay } with delays in milliseconds
+ * @param {number} [engineOptions.statsInterval] - milliseconds between WebRTC
+ * stats polls while connected, 0 to only collect in getCallQualityReport
+ * @param {boolean} [engineOptions.messaging] - publish a data track on join for
+ * sendMessage and MessageReceived, defaults to true
+ * @param {string} [engineOptions.muteMode] - MuteModes.Unpublish (default) makes
+ * turnOff and turnOn unpublish and republish tracks, MuteModes.Disable makes
+ * them behave like mute and unmute
+ * @param {boolean} [engineOptions.manageRemoteAudio] - play remote audio tracks in
+ * engine owned elements routed to the selected output device, see setAudioOutputDevice
+ * @param {object} [engineOptions.layout] - initial layout, { mode, pageSize,
+ * filmstripSize, includeLocal, mainDimensions, thumbnailDimensions }, see layout.js
+ * @param {boolean|object} [engineOptions.degradation] - reduce local video, then go
+ * audio-only, when the local network quality drops; true for the defaults, or
+ * options as in degradation.js
+ * @param {function} [engineOptions.tokenProvider] - async (roomName) => accessToken,
+ * fetches a fresh token before the current one expires and when rejoining with an
+ * expired one; joinRoom also uses it when called without a token
+ * @param {number} [engineOptions.tokenExpiryWarning] - milliseconds before the
+ * token expires to fire AccessTokenExpiring and call tokenProvider, defaults to a minute
+ * @param {string|object} [engineOptions.storage] - where preferences are kept, one of
+ * StorageTypes (default StorageTypes.Local, in memory when unavailable) or an object
+ * with getItem, setItem and removeItem that may return promises
+ * @param {string} [engineOptions.storageNamespace] - keeps the preferences of several
+ * users, tenants or engine instances apart in a shared storage; required for instances
+ * that must not read and overwrite each other's preferences
+ * @param {boolean} [engineOptions.singlePresenter] - reject startScreenShare while a
+ * remote participant presents; when two start at once, the lower participant sid keeps presenting
+ * @param {string[]|function} [engineOptions.hosts] - identities, or (identity) => boolean,
+ * allowed to lower others' hands and send moderation requests, nobody when omitted
+ * @returns {object} the engine public API
+ */
+const TwilioVideoConferenceEngine = function (engineOptions = {}) {
+  var currentRoom, currentConnectOptions, currentScreenTrack;
+  //Tab or system audio shared with the screen, if any
+  let currentScreenAudioTrack = null;
+  //One of ScreenShareModes while sharing
+  let currentScreenShareMode = null;
+
+  const rejoinOptions = engineOptions.rejoin
+    ? { ...defaultRejoinOptions, ...engineOptions.rejoin }
+    : null;
+
+  //Last successful joinRoom arguments, used to rejoin
+  let lastJoin;
+  let rejoinTimer, rejoinAttempt;
+
+  const tokenProvider = engineOptions.tokenProvider;
+  const tokenExpiryWarning =
+    typeof engineOptions.tokenExpiryWarning === "number"
+      ? engineOptions.tokenExpiryWarning
+      : defaultTokenExpiryWarning;
+  let tokenTimer;
+
+  const statsInterval =
+    typeof engineOptions.statsInterval === "number"
+      ? engineOptions.statsInterval
+      : defaultStatsInterval;
+
+  const messagingEnabled = engineOptions.messaging !== false;
+  const muteMode = engineOptions.muteMode || MuteModes.Unpublish;
+  const manageRemoteAudio = Boolean(engineOptions.manageRemoteAudio);
+  const singlePresenter = Boolean(engineOptions.singlePresenter);
+  const isHost = (identity) => {
+    const { hosts } = engineOptions;
+    if (typeof hosts === "function") return Boolean(hosts(identity));
+    return Array.isArray(hosts) && hosts.includes(identity);
+  };
+
+  //Audio-only asked for by setAudioOnly, applied on join
+  let audioOnlyRequested = false;
+  //Audio-only state of the current call, resumeVideo when the camera was on before
+  const audioOnly = { enabled: false, reason: null, resumeVideo: false };
 
-  // For mobile browsers, limit the maximum incoming video bitrate to 2.5 Mbps.
-  if (isMobile) {
-    defaultConnectOptions.bandwidthProfile.video.maxSubscriptionBitrate = 2500000;
-  }
+  //Kinds of media that could not be captured on join, see MediaUnavailable
+  let unavailableMedia = [];
+
+  //Unsubscribe functions for the callbacks object passed to init
+  let initCallbackSubscriptions = [];
+
+  //Preview tracks created by select*Source/change*Source for this instance
+  const previewTracks = Media.createPreviewTracks();
 
   // On mobile browsers, there is the possibility of not getting any media even
   // after the user has given permission, most likely due to some other app reserving
   // the media device. So, we make sure users always test their media devices before
   // joining the Room. For more best practices, please refer to the following guide:
   // https://www.twilio.com/docs/video/build-js-video-application-recommendations-and-best-practices
-  let deviceIds;
-
-  const fetchDeviceIds = () => {
-    deviceIds = {
-      audio: localStorage.getItem("audioInputDeviceId"),
-      video: localStorage.getItem("videoDeviceId"),
-    };
-  };
+  const preferences = createPreferences(
+    engineOptions.storage,
+    engineOptions.storageNamespace
+  );
+
+  const emitter = createEventEmitter((error, eventType) => {
+    //Report throwing listeners without letting them break event processing
+    if (eventType === conferenceEvents.ErrorOccured) {
+      //Reporting it as an event again could loop, so leave it to the host's
+      //uncaught error handling, e.g. window.onerror
+      setTimeout(() => {
+        throw error;
+      });
+    } else {
+      emitter.emit(
+        conferenceEvents.ErrorOccured,
+        toEngineError(error, `A ${eventType} listener threw`)
+      );
+    }
+  });
 
   /**
    *
@@ -57,9 +336,224 @@ const TwilioVideoConferenceEngine = function () {
    * @param {any} args - the info associated with the event
    */
   const notifyOfEvent = (eventType, args) => {
-    //Invoke
-    var callback = eventCallbacks[`on${eventType}`];
-    if (callback) callback(args);
+    //ErrorOccured always carries an EngineError, the original error as its cause
+    if (eventType === conferenceEvents.ErrorOccured) args = toEngineError(args);
+    emitter.emit(eventType, args);
+  };
+
+  const connectionState = createConnectionStateMachine((change) =>
+    notifyOfEvent(conferenceEvents.ConnectionStateChanged, change)
+  );
+
+  /**
+   * @returns {string} the current connection state, one of ConnectionStates
+   */
+  const getConnectionState = () => connectionState.getState();
+
+  const networkQuality = createNetworkQualityMonitor((quality) => {
+    notifyOfEvent(conferenceEvents.NetworkQualityChanged, quality);
+    if (degradation && quality.isLocal) degradation.update(quality.level);
+  });
+
+  //Remote screen shares are recognized by their track name
+  const isScreenTrack = (track) =>
+    (Boolean(currentScreenTrack) && track === currentScreenTrack) ||
+    getTrackSource(track) === TrackSources.Screen;
+
+  //Track sid of each remote participant's screen share, by participant sid
+  const remoteScreenShares = new Map();
+
+  //Driven by publications, a presenter we don't subscribe to still presents
+  const remoteScreenShareStarted = (participant, publication) => {
+    if (remoteScreenShares.get(participant.sid) === publication.trackSid)
+      return;
+    remoteScreenShares.set(participant.sid, publication.trackSid);
+    notifyOfEvent(conferenceEvents.RemoteScreenShareStarted, {
+      participant,
+      participantSid: participant.sid,
+      //null until subscribed, see ParticipantSubscribedTrack
+      track: publication.track || null,
+      trackSid: publication.trackSid,
+    });
+
+    //Both started at once, the lower participant sid keeps presenting
+    if (
+      singlePresenter &&
+      currentScreenTrack &&
+      participant.sid < currentRoom.localParticipant.sid
+    )
+      endScreenShare(ScreenShareEndReasons.Preempted);
+  };
+
+  /**
+   * @param {RemoteParticipant} participant
+   * @param {string} [unpublishedSid] - only stop when this track is the screen share
+   */
+  const remoteScreenShareStopped = (participant, unpublishedSid) => {
+    const trackSid = remoteScreenShares.get(participant.sid);
+    if (!trackSid || (unpublishedSid && unpublishedSid !== trackSid)) return;
+    remoteScreenShares.delete(participant.sid);
+    notifyOfEvent(conferenceEvents.RemoteScreenShareStopped, {
+      participant,
+      participantSid: participant.sid,
+      trackSid,
+    });
+  };
+
+  /**
+   * @returns {object} the bandwidthProfile.video connect options of the call
+   */
+  const getVideoProfile = () =>
+    (currentConnectOptions &&
+      currentConnectOptions.bandwidthProfile &&
+      currentConnectOptions.bandwidthProfile.video) ||
+    {};
+
+  /**
+   * Switch off the remote videos the layout doesn't show and size the others,
+   * unless the app took control of them, see switchOffRemoteVideo. In
+   * audio-only mode every remote video is switched off.
+   * Only applies with bandwidthProfile.video.clientTrackSwitchOffControl
+   * and/or contentPreferencesMode set to "manual" in the connect options.
+   */
+  const applyLayoutToTracks = () => {
+    if (!currentRoom) return;
+
+    const profile = getVideoProfile();
+    const manualSwitchOff = profile.clientTrackSwitchOffControl === "manual";
+    const manualDimensions = profile.contentPreferencesMode === "manual";
+    if (!manualSwitchOff && !manualDimensions) return;
+
+    const applyToTrack = (participant, track) => {
+      const override = trackControl.getOverride(track.sid);
+      const renderDimensions =
+        override.renderDimensions ||
+        (isScreenTrack(track)
+          ? layout.getScreenShareDimensions()
+          : layout.getRenderDimensions(participant.sid));
+      //Audio-only wins over the app's own switch-on
+      const enabled =
+        !audioOnly.enabled &&
+        (typeof override.enabled === "boolean"
+          ? override.enabled
+          : Boolean(renderDimensions));
+      if (manualSwitchOff) {
+        if (enabled) track.switchOn();
+        else track.switchOff();
+      }
+      if (manualDimensions && renderDimensions)
+        track.setContentPreferences({ renderDimensions });
+    };
+
+    currentRoom.participants.forEach((participant) =>
+      participant.videoTracks.forEach(({ track }) => {
+        if (!track) return;
+        //Runs from twilio-video event handlers, where a throw would be lost
+        try {
+          applyToTrack(participant, track);
+        } catch (e) {
+          notifyOfEvent(
+            conferenceEvents.ErrorOccured,
+            toEngineError(e, `Could not apply the layout to track ${track.sid}`)
+          );
+        }
+      })
+    );
+  };
+
+  const layout = createLayout((change) => {
+    applyLayoutToTracks();
+    notifyOfEvent(conferenceEvents.LayoutChanged, change);
+  }, engineOptions.layout);
+
+  const trackControl = createTrackControl(
+    () => currentRoom,
+    getVideoProfile,
+    applyLayoutToTracks
+  );
+
+  /**
+   * Raise the priority of a pinned participant's camera, or restore the
+   * priority set by setRemoteTrackPriority, else the publisher's, once unpinned.
+   * @param {string} participantSid
+   * @param {boolean} pinned
+   */
+  const applyPinPriority = (participantSid, pinned) => {
+    const participant =
+      currentRoom && currentRoom.participants.get(participantSid);
+    if (!participant) return;
+
+    participant.videoTracks.forEach(({ track }) => {
+      if (track && !isScreenTrack(track))
+        track.setPriority(
+          pinned ? "high" : trackControl.getPriority(track.sid)
+        );
+    });
+  };
+
+  const callStats = createStatsCollector((report) =>
+    notifyOfEvent(conferenceEvents.StatsUpdated, report)
+  );
+
+  /**
+   * Collect fresh stats when connected and summarize the session so far. After
+   * leaveRoom, returns the last report and the summary of the finished session.
+   * @returns {Promise<object>} { current: { timestamp, tracks }, session }
+   */
+  const getCallQualityReport = async () => {
+    const current = currentRoom
+      ? await callStats.collect()
+      : callStats.getLatestReport();
+    return { current, session: callStats.summarize() };
+  };
+
+  /**
+   * Latest network quality reported for a participant. Requires the
+   * networkQuality connect option, e.g. { local: 1, remote: 1 }.
+   * @param {string} [participantSid] - defaults to the local participant
+   * @returns {object|null} { level, stats }, level 0 - 5, stats only with verbosity 2+
+   */
+  const getNetworkQuality = (participantSid) => {
+    if (!participantSid && currentRoom)
+      participantSid = currentRoom.localParticipant.sid;
+    return participantSid ? networkQuality.get(participantSid) : null;
+  };
+
+  const assertKnownEvent = (eventType) => {
+    if (eventType !== WILDCARD && !conferenceEvents[eventType])
+      throw invalidArgument(`Unknown conference event ${eventType}`);
+  };
+
+  /**
+   * Listen to a conference event, or to every event with "*".
+   * @param {string} eventType - one of conferenceEvents, or "*"
+   * @param {function} handler - called with the event info; "*" handlers get (eventType, info)
+   * @returns {function} call to remove the listener
+   */
+  const on = (eventType, handler) => {
+    assertKnownEvent(eventType);
+    return emitter.on(eventType, handler);
+  };
+
+  /**
+   * Listen to the next occurrence of a conference event only.
+   * @param {string} eventType - one of conferenceEvents, or "*"
+   * @param {function} handler - called with the event info
+   * @returns {function} call to remove the listener
+   */
+  const once = (eventType, handler) => {
+    assertKnownEvent(eventType);
+    return emitter.once(eventType, handler);
+  };
+
+  /**
+   * Remove a listener. Without a handler, removes every listener of the event.
+   * @param {string} eventType - one of conferenceEvents, or "*"
+   * @param {function} [handler] - the listener passed to on or once
+   */
+  const off = (eventType, handler) => {
+    assertKnownEvent(eventType);
+    emitter.off(eventType, handler);
   };
 
   /**
@@ -67,19 +561,108 @@ const TwilioVideoConferenceEngine = function () {
    * @param {any} participant - the user who disconnected
    */
   const participantDisconnected = (participant) => {
+    networkQuality.untrack(participant);
+    layout.removeParticipant(participant);
+    messaging.forgetParticipant(participant);
+    moderation.forgetParticipant(participant);
+    remoteScreenShareStopped(participant);
     notifyOfEvent(conferenceEvents.ParticipantDisconnected, participant);
   };
 
   const dominantSpeakerChanged = (participant) => {
     notifyOfEvent(conferenceEvents.DominantSpeakerChanged, participant);
+    layout.setDominantSpeaker(participant);
+  };
+
+  const messaging = createMessaging((message) => {
+    if (message.type === MessageTypes.Moderation) moderation.receive(message);
+    else notifyOfEvent(conferenceEvents.MessageReceived, message);
+  });
+
+  const moderation = createModeration(
+    (payload, to) => messaging.send(MessageTypes.Moderation, payload, to),
+    () => (currentRoom ? currentRoom.localParticipant : null),
+    notifyOfEvent,
+    isHost
+  );
+
+  /**
+   * Listen to a remote participant's data track for messages
+   * @param {RemoteDataTrack} track
+   * @param {RemoteParticipant} participant
+   */
+  const attachDataTrack = (track, participant) => {
+    if (!messagingEnabled || !currentRoom || !track || track.kind !== "data")
+      return;
+    if (participant === currentRoom.localParticipant) return;
+    messaging.attachRemoteTrack(
+      track,
+      participant,
+      currentRoom.localParticipant
+    );
+
+    //They can hear us now, exchange raised hands
+    moderation.requestSync(participant);
+    moderation.syncTo(participant);
+  };
+
+  const audioOutput = createAudioOutput();
+
+  /**
+   * Play a remote audio track on the selected output, when remote audio is managed
+   * @param {RemoteAudioTrack} track
+   */
+  const attachRemoteAudio = (track) => {
+    if (!manageRemoteAudio || !track || track.kind !== MediaType.Audio) return;
+    audioOutput
+      .attach(track)
+      .catch((e) =>
+        notifyOfEvent(
+          conferenceEvents.ErrorOccured,
+          toEngineError(e, "Could not route remote audio to output")
+        )
+      );
   };
 
+  /**
+   * The track of a publication as reported in track events. The real track is
+   * kept so it can still be attached; publications without a track yet are
+   * described by their kind, sid and name.
+   * @param {TrackPublication} publication
+   * @returns {any}
+   */
+  const publicationTrack = (publication) =>
+    publication.track || {
+      kind: publication.kind,
+      sid: publication.trackSid,
+      name: publication.trackName,
+    };
+
+  const isScreenPublication = (publication) =>
+    getTrackSource(publicationTrack(publication)) === TrackSources.Screen;
+
+  //Data tracks carry messages, not media, so they are not reported as tracks
+  const isDataTrack = ({ track }) => Boolean(track) && track.kind === "data";
+
   /**
    *
    * @param {any} track - the media track that was subscribed
    */
   const trackSubscribed = (track) => {
-    notifyOfEvent(conferenceEvents.ParticipantSubscribedTrack, track);
+    if (isDataTrack(track)) return;
+    const source = track.track ? getTrackSource(track.track) : null;
+    notifyOfEvent(conferenceEvents.ParticipantSubscribedTrack, {
+      ...track,
+      source,
+    });
+
+    if (!track.track || track.track.kind !== MediaType.Video) return;
+    if (isScreenTrack(track.track))
+      layout.setScreenShare(track.participant, track.track);
+    else if (track.participant.sid === layout.getPinned())
+      applyPinPriority(track.participant.sid, true);
+    //Late tracks need the switch-off and dimensions of the current layout
+    applyLayoutToTracks();
   };
 
   /**
@@ -87,29 +670,43 @@ const TwilioVideoConferenceEngine = function () {
    * @param {any} track - the media track that was unsubscribed
    */
   const trackUnsubscribed = (track) => {
-    //Setup track unmute event
-    if (track.on) {
-      track.on("enabled", ({ publication, participant }) =>
-        trackSubscribed({ track: publication.track, participant })
-      );
-    }
+    if (isDataTrack(track)) return;
+    const source = track.track ? getTrackSource(track.track) : null;
+    notifyOfEvent(conferenceEvents.ParticipantUnsubscribedTrack, {
+      ...track,
+      source,
+    });
 
-    notifyOfEvent(conferenceEvents.ParticipantUnsubscribedTrack, track);
+    if (source === TrackSources.Screen)
+      layout.clearScreenShare(track.participant);
   };
 
+  //Tracks already reporting mute changes, a track can reach us by several events
+  const mutedTracksWatched = new WeakSet();
+
   /**
-   *
+   * Report ParticipantMuteChanged when a local or remote track is disabled or enabled
    * @param {any} track - media track
+   * @param {Participant} participant - the owner of the track
    */
   const setupTrackMuteEvents = (track, participant) => {
-    if (track && track.on) {
-      track.on("disabled", () => {
-        trackUnsubscribed({ track, participant });
-      });
-      track.on("enabled", () => {
-        trackSubscribed({ track, participant });
+    if (!track || !track.on || track.kind === "data") return;
+    if (mutedTracksWatched.has(track)) return;
+    mutedTracksWatched.add(track);
+
+    const notifyMuteChanged = (muted) =>
+      notifyOfEvent(conferenceEvents.ParticipantMuteChanged, {
+        participant,
+        participantSid: participant.sid,
+        isLocal:
+          Boolean(currentRoom) && participant === currentRoom.localParticipant,
+        kind: track.kind,
+        track,
+        muted,
       });
-    }
+
+    track.on("disabled", () => notifyMuteChanged(true));
+    track.on("enabled", () => notifyMuteChanged(false));
   };
 
   /**
@@ -120,16 +717,28 @@ const TwilioVideoConferenceEngine = function () {
     //Fire callback
     notifyOfEvent(conferenceEvents.ParticipantConnected, participant);
 
+    networkQuality.track(participant, !isRemote);
+    layout.addParticipant(participant, !isRemote);
+
+    //Bring late joiners up to date with our raised hand
+    if (isRemote && messagingEnabled) moderation.syncTo(participant);
+
+    if (isRemote) {
+      participant.on("reconnecting", () =>
+        notifyOfEvent(conferenceEvents.ParticipantReconnecting, participant)
+      );
+      participant.on("reconnected", () =>
+        notifyOfEvent(conferenceEvents.ParticipantReconnected, participant)
+      );
+    }
+
     //subscribe to tracks already published by participant
     participant.tracks.forEach((publication) => {
+      if (isRemote && isScreenPublication(publication))
+        remoteScreenShareStarted(participant, publication);
       if (publication.isSubscribed || publication.track) {
-        if (isRemote && publication.track) {
-          setupTrackMuteEvents(publication.track, participant);
-        }
-        trackSubscribed({
-          track: { ...publication.track, sid: publication.trackSid },
-          participant,
-        });
+        setupTrackMuteEvents(publication.track, participant);
+        trackSubscribed({ track: publicationTrack(publication), participant });
       }
 
       publication.on("subscribed", (track) => {
@@ -159,81 +768,259 @@ const TwilioVideoConferenceEngine = function () {
 
     // Handle the TrackPublications that will be published by the Participant later.
     participant.on("trackPublished", (publication) => {
-      trackSubscribed({
-        track: { ...publication.track, sid: publication.trackSid },
-        participant,
-      });
+      if (isRemote && isScreenPublication(publication))
+        remoteScreenShareStarted(participant, publication);
+      setupTrackMuteEvents(publication.track, participant);
+      trackSubscribed({ track: publicationTrack(publication), participant });
     });
 
     participant.on("trackUnpublished", (publication) => {
-      trackUnsubscribed({
-        track: { ...publication.track, sid: publication.trackSid },
-        participant,
-      });
+      trackUnsubscribed({ track: publicationTrack(publication), participant });
+      if (isRemote) remoteScreenShareStopped(participant, publication.trackSid);
     });
   };
+  const canRejoin = (error) =>
+    rejoinOptions &&
+    error &&
+    (SignalingErrorCodes.includes(error.code) ||
+      (tokenProvider && error.code === AccessTokenExpiredErrorCode));
+
+  const stopWatchingToken = () => {
+    clearTimeout(tokenTimer);
+    tokenTimer = null;
+  };
+
   /**
-   *
-   * @param {string} accessToken user identity jwt object generated by twilio token generator
-   * @param {string} roomName
-   * @param {object} connectOptions
+   * Fire AccessTokenExpiring, and refresh the token when there is a
+   * tokenProvider, tokenExpiryWarning before the last join token expires.
    */
-  const joinRoom = async (accessToken, roomName, connectOptions) => {
-    if (typeof accessToken === "undefined" || !accessToken)
-      throw new Error("User access token not supplied");
+  const watchToken = () => {
+    stopWatchingToken();
+    const { identity, expiresAt } = decodeAccessToken(lastJoin.accessToken);
+
+    tokenTimer = setTimeout(() => {
+      tokenTimer = null;
+      notifyOfEvent(conferenceEvents.AccessTokenExpiring, {
+        roomName: lastJoin.roomName,
+        identity,
+        expiresAt,
+        willRefresh: Boolean(tokenProvider),
+      });
+      if (tokenProvider)
+        fetchFreshToken().catch((e) =>
+          notifyOfEvent(conferenceEvents.ErrorOccured, e)
+        );
+    }, Math.max(0, expiresAt - tokenExpiryWarning - Date.now()));
+  };
 
-    if (typeof roomName === "undefined" || !roomName)
-      throw new Error("Room name is not supplied");
+  /**
+   * Get a token from tokenProvider for the last joined room, used from then on to rejoin.
+   * @returns {Promise<string>}
+   */
+  const fetchFreshToken = async () => {
+    const join = lastJoin;
+    let accessToken, decoded;
+    try {
+      accessToken = await tokenProvider(join.roomName);
+      decoded = validateAccessToken(accessToken, join.roomName);
+    } catch (e) {
+      throw toEngineError(e, "Could not refresh the access token");
+    }
+    //Joined another room meanwhile
+    if (lastJoin !== join) return accessToken;
+
+    join.accessToken = accessToken;
+    notifyOfEvent(conferenceEvents.AccessTokenRefreshed, {
+      roomName: join.roomName,
+      identity: decoded.identity,
+      expiresAt: decoded.expiresAt,
+    });
+    if (currentRoom) watchToken();
+    return accessToken;
+  };
 
-    if (typeof eventCallbacks === "undefined" || !eventCallbacks)
-      throw new Error(
-        "Event callbacks not registered, please register and initialize event callbacks"
+  /**
+   * @param {boolean} refresh - true when Twilio rejected the last token
+   * @returns {Promise<string>} a token to rejoin with
+   */
+  const getRejoinToken = async (refresh) => {
+    if (!refresh && !isExpired(decodeAccessToken(lastJoin.accessToken)))
+      return lastJoin.accessToken;
+    if (!tokenProvider)
+      throw new ConnectionError(
+        ErrorCodes.TokenExpired,
+        "Can't rejoin - the access token expired and there is no tokenProvider"
       );
+    return fetchFreshToken();
+  };
 
-    connectOptions = connectOptions || defaultConnectOptions;
-    connectOptions.name = roomName;
+  const cancelRejoin = () => {
+    clearTimeout(rejoinTimer);
+    rejoinTimer = null;
+    rejoinAttempt = 0;
+  };
 
-    if (typeof deviceIds === "undefined") {
-      fetchDeviceIds();
-    }
+  /**
+   * Retry the last join, backing off exponentially between attempts.
+   * @param {number} attempt - 1 for the first retry
+   * @param {boolean} [refreshToken] - get a new token from tokenProvider first
+   */
+  const scheduleRejoin = (attempt, refreshToken) => {
+    rejoinAttempt = attempt;
+    const delay = Math.min(
+      rejoinOptions.initialDelay * Math.pow(2, attempt - 1),
+      rejoinOptions.maxDelay
+    );
 
-    // Add the specified audio device ID to ConnectOptions.
-    if (connectOptions.audio && !connectOptions.audio.deviceId) {
-      connectOptions.audio.deviceId = { exact: deviceIds.audio };
-    } else if (!connectOptions.audio) {
-      throw new Error("Sorry no audio info found");
-    }
+    notifyOfEvent(
+      conferenceEvents.Debug,
+      `Rejoining room ${lastJoin.roomName} in ${delay}ms, attempt ${attempt}`
+    );
 
-    // Add the specified video device ID to ConnectOptions.
-    if (connectOptions.video && !connectOptions.video.deviceId) {
-      connectOptions.video.deviceId = { exact: deviceIds.video };
-    } else if (!connectOptions.video) {
-      throw new Error("Sorry no video info found");
-    }
+    rejoinTimer = setTimeout(() => {
+      rejoinTimer = null;
+      getRejoinToken(refreshToken)
+        .then((accessToken) =>
+          connectToRoom(
+            accessToken,
+            {
+              ...lastJoin.connectOptions,
+              //Audio-only set at runtime isn't in the join options
+              video: audioOnly.enabled ? false : lastJoin.connectOptions.video,
+            },
+            () => rejoinAttempt !== attempt,
+            lastJoin.mediaState
+          )
+        )
+        .then(() => {
+          rejoinAttempt = 0;
+          connectionState.transition(ConnectionStates.Connected);
+          watchToken();
+          //The degradation policy starts over, so does audio-only it turned on
+          if (
+            audioOnly.enabled &&
+            audioOnly.reason === AudioOnlyReasons.NetworkQuality
+          )
+            applyAudioOnly(false, AudioOnlyReasons.NetworkQuality).catch((e) =>
+              notifyOfEvent(
+                conferenceEvents.ErrorOccured,
+                toEngineError(e, "Could not resume video after rejoining")
+              )
+            );
+        })
+        .catch((error) => {
+          //leaveRoom was called meanwhile
+          if (rejoinAttempt !== attempt) return;
+
+          //Retrying with a rejected token is pointless without a new one
+          const tokenRejected = TokenErrorCodes.includes(error.code);
+          if (
+            attempt < rejoinOptions.maxAttempts &&
+            (!tokenRejected || tokenProvider)
+          ) {
+            connectionState.transition(ConnectionStates.Reconnecting, {
+              error,
+              attempt: attempt + 1,
+            });
+            scheduleRejoin(attempt + 1, tokenRejected);
+          } else {
+            rejoinAttempt = 0;
+            connectionState.transition(ConnectionStates.Disconnected, {
+              reason: DisconnectReasons.Error,
+              error,
+            });
+            notifyOfEvent(conferenceEvents.ErrorOccured, error);
+          }
+        });
+    }, delay);
+  };
 
-    if (
-      typeof connectOptions.audio.deviceId === "undefined" ||
-      !connectOptions.audio.deviceId
-    ) {
-      throw new Error("Sorry, can't access audio - no device id found");
-    }
+  /**
+   * Connect to a room and wire up the room and participant events.
+   * @param {string} accessToken
+   * @param {object} connectOptions - resolved connect options
+   * @param {function} [isCancelled] - checked once connected; when it returns
+   * true the room is left and the promise rejects
+   * @param {object} [mediaState] - { muteAudio, muteVideo }, a muted kind is left
+   * out with MuteModes.Unpublish and published disabled with MuteModes.Disable
+   * @returns {Promise<Room>}
+   */
+  const connectToRoom = (
+    accessToken,
+    connectOptions,
+    isCancelled,
+    mediaState = {}
+  ) => {
+    notifyOfEvent(conferenceEvents.RoomConnecting, {
+      roomName: connectOptions.name,
+    });
 
-    if (
-      typeof connectOptions.video.deviceId === "undefined" ||
-      !connectOptions.video.deviceId
-    ) {
-      throw new Error("Sorry, can't access video - no device id found");
-    }
+    let localTracks = [];
+    const stopLocalTracks = () => localTracks.forEach((track) => track.stop());
 
-    currentConnectOptions = connectOptions;
+    const isMuted = (kind) =>
+      Boolean(
+        kind === MediaType.Audio ? mediaState.muteAudio : mediaState.muteVideo
+      );
+    const captureOptions = { ...connectOptions };
+    if (muteMode === MuteModes.Unpublish) {
+      if (isMuted(MediaType.Audio)) captureOptions.audio = false;
+      if (isMuted(MediaType.Video)) captureOptions.video = false;
+    }
 
     //async
     return new Promise((resolve, reject) => {
-      Video.connect(accessToken, connectOptions)
+      //Join with the devices that work, reporting the others
+      createAvailableTracks(captureOptions)
+        .then(({ tracks, unavailable }) => {
+          //Disabled before publishing, nothing is sent until unmuted
+          tracks.forEach((track) => {
+            if (isMuted(track.kind)) track.disable();
+          });
+          localTracks = tracks;
+          unavailableMedia = unavailable;
+          unavailable.forEach((media) =>
+            notifyOfEvent(conferenceEvents.MediaUnavailable, {
+              ...media,
+              error: fromCaptureError(media.error, `Can't use ${media.kind}`),
+            })
+          );
+          return Video.connect(accessToken, { ...connectOptions, tracks });
+        })
         .then((room) => {
+          if (isCancelled && isCancelled()) {
+            room.disconnect();
+            stopLocalTracks();
+            reject(
+              new ConnectionError(
+                ErrorCodes.ConnectionFailed,
+                "Connection to the room was cancelled"
+              )
+            );
+            return;
+          }
+
           notifyOfEvent(conferenceEvents.RoomConnected, room);
 
           currentRoom = room;
+          callStats.start(room, statsInterval);
+
+          //Route remote audio to the stored output device, if any
+          if (
+            manageRemoteAudio &&
+            isSinkSelectionSupported() &&
+            !audioOutput.getSinkId()
+          ) {
+            resolvePreferredDevice("audioOutputDevice")
+              .then((deviceId) => deviceId && audioOutput.setSinkId(deviceId))
+              .catch((e) =>
+                notifyOfEvent(
+                  conferenceEvents.Debug,
+                  `Could not use stored audio output device - ${e.message}`
+                )
+              );
+          }
+          watchDeviceList(true);
 
           //Local participant
           participantConnected(room.localParticipant, false);
@@ -247,7 +1034,58 @@ const TwilioVideoConferenceEngine = function () {
 
           room.on("trackSubscribed", (track, publication, participant) => {
             setupTrackMuteEvents(track, participant);
+            attachDataTrack(track, participant);
+            attachRemoteAudio(track);
+          });
+
+          room.on("trackSwitchedOff", (track, publication, participant) =>
+            notifyOfEvent(conferenceEvents.TrackSwitchedOff, {
+              track,
+              trackSid: track.sid,
+              kind: track.kind,
+              participant,
+              participantSid: participant.sid,
+            })
+          );
+
+          room.on("trackSwitchedOn", (track, publication, participant) =>
+            notifyOfEvent(conferenceEvents.TrackSwitchedOn, {
+              track,
+              trackSid: track.sid,
+              kind: track.kind,
+              participant,
+              participantSid: participant.sid,
+            })
+          );
+
+          room.on("trackUnsubscribed", (track) => {
+            if (track.kind === MediaType.Audio) audioOutput.detach(track);
           });
+
+          room.participants.forEach((participant) =>
+            participant.audioTracks.forEach((publication) =>
+              attachRemoteAudio(publication.track)
+            )
+          );
+
+          //Data tracks subscribed before the listener above was added
+          room.participants.forEach((participant) =>
+            participant.dataTracks.forEach((publication) =>
+              attachDataTrack(publication.track, participant)
+            )
+          );
+
+          if (messagingEnabled) {
+            room.localParticipant
+              .publishTrack(messaging.getLocalTrack())
+              .then(() => messaging.setPublished(true))
+              .catch((e) =>
+                notifyOfEvent(
+                  conferenceEvents.ErrorOccured,
+                  toEngineError(e, "Could not publish data track")
+                )
+              );
+          }
           //Let the client know that all participants events have been initialized
           notifyOfEvent(
             conferenceEvents.ExistingParticipantsReportingComplete,
@@ -256,34 +1094,227 @@ const TwilioVideoConferenceEngine = function () {
 
           room.on("dominantSpeakerChanged", dominantSpeakerChanged);
 
-          room.once("disconnected", (error) => {
+          room.on("reconnecting", (error) => {
+            connectionState.transition(ConnectionStates.Reconnecting, {
+              error,
+            });
+            notifyOfEvent(conferenceEvents.RoomReconnecting, { room, error });
+          });
+
+          room.on("reconnected", () => {
+            connectionState.transition(ConnectionStates.Connected);
+            notifyOfEvent(conferenceEvents.RoomReconnected, room);
+          });
+
+          room.once("disconnected", (_, error) => {
+            const reason = getDisconnectReason(error);
+            const willRejoin =
+              reason === DisconnectReasons.Error && canRejoin(error);
+
+            //Rejoin with the microphone and camera as the user left them
+            if (willRejoin && lastJoin)
+              lastJoin.mediaState = {
+                muteAudio: isMyAudioMuted(),
+                muteVideo: isMyVideoMuted(),
+              };
+
             participantDisconnected(room.localParticipant);
             room.participants.forEach(participantDisconnected);
-            if (!error) notifyOfEvent(conferenceEvents.RoomCompleted, room);
-            else notifyOfEvent(conferenceEvents.ErrorOccured, error);
+
+            endScreenShare(ScreenShareEndReasons.Disconnected);
+
+            //Release the camera and microphone, whoever created the tracks
+            room.localParticipant.tracks.forEach(({ track }) => {
+              if (track && track.kind !== "data") track.stop();
+            });
+            stopLocalTracks();
+
+            if (currentRoom === room) currentRoom = null;
+            networkQuality.clear();
+            callStats.stop();
+            messaging.reset();
+            watchDeviceList(false);
+            audioOutput.detachAll();
+            moderation.reset();
+            layout.reset();
+            trackControl.reset();
+            if (degradation) degradation.reset();
+            stopWatchingToken();
+
+            notifyOfEvent(conferenceEvents.RoomDisconnected, {
+              room,
+              reason,
+              error,
+              willRejoin,
+            });
+
+            if (willRejoin) {
+              connectionState.transition(ConnectionStates.Reconnecting, {
+                error,
+                attempt: 1,
+              });
+              scheduleRejoin(1, error.code === AccessTokenExpiredErrorCode);
+              return;
+            }
+
+            connectionState.transition(ConnectionStates.Disconnected, {
+              reason,
+              error,
+            });
+
+            if (reason === DisconnectReasons.Error)
+              notifyOfEvent(conferenceEvents.ErrorOccured, error);
+            else
+              notifyOfEvent(conferenceEvents.RoomCompleted, {
+                room,
+                reason,
+                error,
+              });
           });
 
           resolve(room);
         })
         .catch((error) => {
-          reject(error);
+          stopLocalTracks();
+          reject(toEngineError(error, "Could not connect to the room"));
         });
     });
   };
 
   /**
-   * @param {string} token
-   * @param {object} event_callbacks
+   *
+   * @param {string} [accessToken] user identity jwt object generated by twilio token generator,
+   * fetched from engineOptions.tokenProvider when omitted. Rejected with a ConnectionError
+   * when malformed, expired or granted for another room.
+   * @param {string} roomName
+   * @param {string|object} [connectOptions] - a ConnectProfiles name, or options deep merged
+   * onto the profile named by their "profile" key (default profile if omitted).
+   * Joins audio-only when video is false or missing, e.g. ConnectProfiles.AudioOnly.
+   * Kinds of media that can't be captured are left out and reported with
+   * MediaUnavailable, turnOnMyAudio and turnOnMyVideo can add them later.
+   * Rejected while connecting or connected, leaveRoom first; a pending rejoin is
+   * replaced.
    */
-  const init = (event_callbacks) => {
-    if (typeof event_callbacks === "undefined")
-      throw new Error("Init without Event callbacks");
+  const joinRoom = async (accessToken, roomName, connectOptions) => {
+    if (
+      currentRoom ||
+      connectionState.getState() === ConnectionStates.Connecting
+    )
+      throw invalidState("Can't join room - already in a room, leave it first");
 
-    eventCallbacks = event_callbacks;
+    if (!accessToken && !tokenProvider)
+      throw invalidArgument("User access token not supplied");
 
-    //Return an error if video is not supported
-    if (!Video.isSupported)
-      return new Error("Sorry, this browser is not supported by Twilio Video");
+    if (typeof roomName === "undefined" || !roomName)
+      throw invalidArgument("Room name is not supplied");
+
+    if (!accessToken) {
+      try {
+        accessToken = await tokenProvider(roomName);
+      } catch (e) {
+        throw toEngineError(e, "Could not get an access token");
+      }
+    }
+    validateAccessToken(accessToken, roomName);
+
+    const requestedVideo = (connectOptions || {}).video;
+    connectOptions = resolveConnectOptions(connectOptions);
+    connectOptions.name = roomName;
+
+    const { videoResolution, muteAudioOnJoin, muteVideoOnJoin } =
+      await preferences.load();
+
+    // Add the stored audio device ID to ConnectOptions, the system default
+    // microphone is used when there is none. Without audio options, join listen-only.
+    if (!connectOptions.audio) connectOptions.audio = false;
+    if (connectOptions.audio && !connectOptions.audio.deviceId) {
+      connectOptions.audio.deviceId = await getPreferredDeviceConstraint(
+        "audioInputDevice"
+      );
+    }
+
+    // Add the stored video device ID to ConnectOptions.
+    // Without video options, or after setAudioOnly(true), join audio-only.
+    if (audioOnlyRequested || !connectOptions.video)
+      connectOptions.video = false;
+    const videoDisabled = connectOptions.video === false;
+    if (connectOptions.video && !connectOptions.video.deviceId) {
+      connectOptions.video.deviceId = await getPreferredDeviceConstraint(
+        "videoInputDevice"
+      );
+    }
+
+    //The stored resolution replaces the profile's, not one passed in
+    if (
+      connectOptions.video &&
+      videoResolution &&
+      !(requestedVideo && (requestedVideo.width || requestedVideo.height))
+    ) {
+      connectOptions.video.width = videoResolution.width;
+      connectOptions.video.height = videoResolution.height;
+    }
+
+    currentConnectOptions = connectOptions;
+    audioOnly.enabled = videoDisabled;
+    audioOnly.reason = videoDisabled ? AudioOnlyReasons.User : null;
+    audioOnly.resumeVideo = false;
+
+    cancelRejoin();
+    callStats.resetSession();
+    connectionState.transition(ConnectionStates.Connecting);
+
+    try {
+      const room = await connectToRoom(accessToken, connectOptions, null, {
+        muteAudio: muteAudioOnJoin,
+        muteVideo: muteVideoOnJoin,
+      });
+      lastJoin = { accessToken, roomName, connectOptions };
+      connectionState.transition(ConnectionStates.Connected);
+      watchToken();
+
+      //Devices asked for as { ideal } can be checked now capture was allowed
+      [MediaType.Audio, MediaType.Video].forEach((kind) => {
+        const { deviceId } = connectOptions[kind] || {};
+        if (deviceId && deviceId.ideal)
+          verifyPreferredDevice(kind).catch((e) =>
+            notifyOfEvent(conferenceEvents.ErrorOccured, e)
+          );
+      });
+      return room;
+    } catch (error) {
+      connectionState.transition(ConnectionStates.Disconnected, {
+        reason: DisconnectReasons.Error,
+        error,
+      });
+      throw error;
+    }
+  };
+
+  /**
+   * Subscribe an object of on<EventName> callbacks, e.g. from registerCallbacks.
+   * Calling init again replaces the previously registered callbacks object;
+   * listeners added with on/once are not affected.
+   * @param {object} [event_callbacks]
+   */
+  const init = (event_callbacks) => {
+    initCallbackSubscriptions.forEach((unsubscribe) => unsubscribe());
+    initCallbackSubscriptions = [];
+
+    if (event_callbacks) {
+      Object.keys(conferenceEvents).forEach((eventType) => {
+        const callback = event_callbacks[`on${eventType}`];
+        if (typeof callback === "function") {
+          initCallbackSubscriptions.push(emitter.on(eventType, callback));
+        }
+      });
+    }
+
+    //Return an error if video is not supported
+    if (!Video.isSupported)
+      return new NotSupportedError(
+        ErrorCodes.UnsupportedBrowser,
+        "Sorry, this browser is not supported by Twilio Video"
+      );
   };
 
   /**
@@ -297,6 +1328,11 @@ const TwilioVideoConferenceEngine = function () {
    * @param {function} onDominantSpeakerChanged
    * @param {function} onExistingParticipantsReportingComplete
    * @param {function} onErrorOccured
+   * @param {function} onDebug
+   * @param {function} onRoomConnecting
+   * @param {function} onRoomReconnecting
+   * @param {function} onRoomReconnected
+   * @param {function} onRoomCompleted
    * @return {object}
    */
   const registerCallbacks = (
@@ -309,7 +1345,11 @@ const TwilioVideoConferenceEngine = function () {
     onDominantSpeakerChanged,
     onExistingParticipantsReportingComplete,
     onErrorOccured,
-    onDebug
+    onDebug,
+    onRoomConnecting,
+    onRoomReconnecting,
+    onRoomReconnected,
+    onRoomCompleted
   ) => {
     return {
       onRoomConnected: (room) => {
@@ -348,90 +1388,113 @@ const TwilioVideoConferenceEngine = function () {
       onDebug: (msg) => {
         if (typeof onDebug !== "undefined") onDebug(msg);
       },
+      onRoomConnecting: (info) => {
+        if (typeof onRoomConnecting !== "undefined") onRoomConnecting(info);
+      },
+      onRoomReconnecting: (info) => {
+        if (typeof onRoomReconnecting !== "undefined") onRoomReconnecting(info);
+      },
+      onRoomReconnected: (room) => {
+        if (typeof onRoomReconnected !== "undefined") onRoomReconnected(room);
+      },
+      onRoomCompleted: (info) => {
+        if (typeof onRoomCompleted !== "undefined") onRoomCompleted(info);
+      },
     };
   };
 
   /**
-   * Turn on audio track
+   * Kinds of media left out when joining, because no device could be captured.
+   * @returns {object[]} [{ kind, reason, error }], reason one of MediaUnavailableReasons
+   */
+  const getUnavailableMedia = () => unavailableMedia.slice();
+
+  //Media added after joining without it is available again
+  const setMediaAvailable = (kind) => {
+    unavailableMedia = unavailableMedia.filter((media) => media.kind !== kind);
+  };
+
+  /**
+   * Create and publish a new audio track
    * @returns {Promise<void>}
    */
-  const turnOnMyAudio = async (deviceId) => {
+  const publishMyAudio = async (deviceId) => {
     return new Promise((resolve, reject) => {
-      if (typeof currentRoom === "undefined") {
-        reject("Can't turn on audio - room is null");
+      if (!currentRoom) {
+        reject(notConnected("turn on audio"));
+        return;
       }
 
-      if (deviceId && currentConnectOptions.audio) {
-        currentConnectOptions.audio.deviceId = deviceId;
+      //Joined listen-only, start from the default microphone options
+      if (!currentConnectOptions.audio) {
+        currentConnectOptions.audio = { ...getConnectOptions().audio };
       }
-      if (currentConnectOptions.audio && currentConnectOptions.audio.deviceId) {
-        Video.createLocalAudioTrack(currentConnectOptions.audio)
-          .then((track) => {
-            currentRoom.localParticipant
-              .publishTrack(track)
-              .then(() => resolve())
-              .catch((e) => {
-                reject(`Could not publish audio track ${e.message}`);
-              });
-          })
-          .catch((e) =>
-            reject(
-              `Can't turn on audio - an issue occured when creating local audio track - ${e.message}`
-            )
-          );
-      } else {
-        reject("Can't turn on audio - Audio device id not found");
+      if (deviceId) {
+        currentConnectOptions.audio.deviceId = deviceId;
       }
+      createTrackWithFallback(MediaType.Audio, currentConnectOptions.audio)
+        .then((track) => {
+          currentRoom.localParticipant
+            .publishTrack(track)
+            .then(() => {
+              setMediaAvailable(MediaType.Audio);
+              resolve();
+            })
+            .catch((e) => {
+              reject(toEngineError(e, "Could not publish audio track"));
+            });
+        })
+        .catch((e) => reject(fromCaptureError(e, "Can't turn on audio")));
     });
   };
 
   /**
-   * Turn on video track
+   * Create and publish a new video track
    * @returns {Promise<void>}
    */
-  const turnOnMyVideo = async (deviceId) => {
+  const publishMyVideo = async (deviceId) => {
     return new Promise((resolve, reject) => {
-      if (typeof currentRoom === "undefined") {
-        reject("Can't turn on video - room is null");
+      if (!currentRoom) {
+        reject(notConnected("turn on video"));
+        return;
       }
 
-      if (deviceId && currentConnectOptions.video) {
+      //Joined audio-only, start from the default camera options
+      if (!currentConnectOptions.video) {
+        currentConnectOptions.video = { ...getConnectOptions().video };
+      }
+      if (deviceId) {
         currentConnectOptions.video.deviceId = deviceId;
       }
 
-      if (currentConnectOptions.video && currentConnectOptions.video.deviceId) {
-        Video.createLocalVideoTrack(currentConnectOptions.video)
-          .then((track) => {
-            currentRoom.localParticipant
-              .publishTrack(track)
-              .then(() => resolve())
-              .catch((e) => {
-                reject(`Could not publish video track - ${e.message}`);
-              });
-          })
-          .catch((e) =>
-            reject(
-              `Can't turn on video - an issue occured when creating local video track - ${e.message}`
-            )
-          );
-      } else {
-        reject("Can't turn on video - Video device id not found");
-      }
+      createTrackWithFallback(MediaType.Video, currentConnectOptions.video)
+        .then((track) => {
+          currentRoom.localParticipant
+            .publishTrack(track)
+            .then(() => {
+              setMediaAvailable(MediaType.Video);
+              resolve();
+            })
+            .catch((e) => {
+              reject(toEngineError(e, "Could not publish video track"));
+            });
+        })
+        .catch((e) => reject(fromCaptureError(e, "Can't turn on video")));
     });
   };
 
   /**
-   * Turn off current video track
+   * Unpublish and stop the current video tracks, except screen share
    * @returns {Promise<void>}
    */
-  const turnOffMyVideo = async () => {
+  const unpublishMyVideo = async () => {
     return new Promise((resolve, reject) => {
       if (
         !currentRoom ||
         !currentRoom.localParticipant ||
         !currentRoom.localParticipant.videoTracks
       ) {
-        reject("Room, local participant or video track info is missing");
+        reject(notConnected("turn off video"));
       }
 
       var localVideoTracks = Array.from(
@@ -460,32 +1523,32 @@ const TwilioVideoConferenceEngine = function () {
   
             } catch (e) {
               reject(
-                `An error occured while stopping video track - ${e.message}`
+                toEngineError(e, "An error occured while stopping video track")
               );
             }
           } else {
-            reject("No video track info found to unpublish");
+            reject(invalidState("No video track info found to unpublish"));
           }
         })
         resolve();
       }else {
-        reject("No video tracks found to unpublish");
+        reject(invalidState("No video tracks found to unpublish"));
       }
     });
   };
 
   /**
-   * Turn off current audio track
+   * Unpublish and stop the current audio tracks
    * @returns {Promise<void>}
    */
-  const turnOffMyAudio = async () => {
+  const unpublishMyAudio = async () => {
     return new Promise((resolve, reject) => {
       if (
         !currentRoom ||
         !currentRoom.localParticipant ||
         !currentRoom.localParticipant.audioTracks
       ) {
-        reject("Room, local participant or audio track info is missing");
+        reject(notConnected("turn off audio"));
       }
 
       var localAudioTracks = Array.from(
@@ -497,6 +1560,8 @@ const TwilioVideoConferenceEngine = function () {
           var localAudioTrack = lat.track;
           if (localAudioTrack) {
             try {
+              if (localAudioTrack === currentScreenAudioTrack) return;
+
               currentRoom.localParticipant.unpublishTrack(localAudioTrack);
               localAudioTrack.stop();
   
@@ -509,57 +1574,501 @@ const TwilioVideoConferenceEngine = function () {
               });
             } catch (e) {
               reject(
-                `An error occured while stopping audio track - ${e.message}`
+                toEngineError(e, "An error occured while stopping audio track")
               );
             }
           } else {
-            reject("No audio track info found to unpublish");
+            reject(invalidState("No audio track info found to unpublish"));
           }
         })
         resolve();
       } else {
-        reject("No audio track found to unpublish");
+        reject(invalidState("No audio track found to unpublish"));
       }
     });
   };
 
+  /**
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @returns {LocalTrack[]} the published local camera or microphone tracks
+   */
+  const getMyPublishedTracks = (kind) => {
+    if (!currentRoom) return [];
+
+    const publications =
+      kind === MediaType.Audio
+        ? currentRoom.localParticipant.audioTracks
+        : currentRoom.localParticipant.videoTracks;
+
+    return Array.from(publications.values())
+      .map((publication) => publication.track)
+      .filter(
+        (track) =>
+          track &&
+          track !== currentScreenAudioTrack &&
+          !(currentScreenTrack && track.id === currentScreenTrack.id)
+      );
+  };
+
+  /**
+   * Disable the published tracks of a kind, keeping them published.
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @returns {Promise<void>}
+   */
+  const muteMyTracks = async (kind) => {
+    if (!currentRoom) throw notConnected(`mute ${kind}`);
+
+    const tracks = getMyPublishedTracks(kind);
+    if (!tracks.length) throw invalidState(`No ${kind} track found to mute`);
+
+    //ParticipantMuteChanged is reported by the track "disabled" event
+    tracks.forEach((track) => track.disable());
+  };
+
+  /**
+   * Enable the published tracks of a kind, publishing one if there is none.
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @param {string} [deviceId] - restart the track on this device first
+   * @returns {Promise<void>}
+   */
+  const unmuteMyTracks = async (kind, deviceId) => {
+    if (!currentRoom) throw notConnected(`unmute ${kind}`);
+
+    const tracks = getMyPublishedTracks(kind);
+    if (!tracks.length) {
+      return kind === MediaType.Audio
+        ? publishMyAudio(deviceId)
+        : publishMyVideo(deviceId);
+    }
+
+    if (deviceId) await restartMyTracks(kind, deviceId);
+    tracks.forEach((track) => track.enable());
+  };
+
+  /**
+   * Restart the published tracks of a kind on another device, keeping them published.
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @param {string} deviceId
+   * @returns {Promise<boolean>} false when there was no published track to restart
+   */
+  const restartMyTracks = async (kind, deviceId) => {
+    const tracks = getMyPublishedTracks(kind);
+    if (!tracks.length) return false;
+
+    const constraints = {
+      ...(currentConnectOptions[kind] || {}),
+      deviceId: { exact: deviceId },
+    };
+    await Promise.all(tracks.map((track) => track.restart(constraints))).catch(
+      (e) => Promise.reject(fromCaptureError(e, `Can't switch ${kind}`))
+    );
+
+    //Tracks published later (turnOn) use the same device
+    if (currentConnectOptions[kind]) currentConnectOptions[kind] = constraints;
+    return true;
+  };
+
+  /**
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @returns {string|undefined} the device id the published track captures from
+   */
+  const getMyActiveDeviceId = (kind) => {
+    const [track] = getMyPublishedTracks(kind);
+    return track && track.mediaStreamTrack.getSettings
+      ? track.mediaStreamTrack.getSettings().deviceId
+      : undefined;
+  };
+
+  /**
+   * Switch the published microphone or camera to another device during a call
+   * and remember it as the default device.
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @param {string} deviceId
+   * @returns {Promise<void>}
+   */
+  const switchMyInputDevice = async (kind, deviceId) => {
+    if (!deviceId)
+      throw invalidArgument(`Can't switch ${kind} - no device id given`);
+
+    if (kind === MediaType.Audio)
+      await assignDefaultAudioInputDeviceId(deviceId);
+    else await assignDefaultVideoInputDeviceId(deviceId);
+
+    if (!currentRoom) return;
+
+    const previousDeviceId = getMyActiveDeviceId(kind);
+    if (await restartMyTracks(kind, deviceId)) {
+      notifyOfEvent(conferenceEvents.MediaDeviceSwitched, {
+        kind,
+        deviceId,
+        previousDeviceId,
+        reason: DeviceSwitchReasons.User,
+      });
+    } else if (currentConnectOptions[kind]) {
+      //Nothing published yet, turnOn will use the new device
+      currentConnectOptions[kind].deviceId = { exact: deviceId };
+    }
+  };
+
+  /**
+   * Switch the microphone of the call to another device
+   * @param {string} audioInputDeviceId
+   * @returns {Promise<void>}
+   */
+  const switchMyAudioInput = async (audioInputDeviceId) =>
+    switchMyInputDevice(MediaType.Audio, audioInputDeviceId);
+
+  /**
+   * Switch the camera of the call to another device
+   * @param {string} videoDeviceId
+   * @returns {Promise<void>}
+   */
+  const switchMyVideoInput = async (videoDeviceId) =>
+    switchMyInputDevice(MediaType.Video, videoDeviceId);
+
+  /**
+   * When the device of a published track is unplugged, move the track to the
+   * system default (or first) device of the same kind. The stored default is
+   * kept, so the preferred device is used again on the next join.
+   */
+  const onDeviceListChanged = async () => {
+    if (!currentRoom) return;
+
+    let devices;
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (e) {
+      return;
+    }
+
+    for (const kind of [MediaType.Audio, MediaType.Video]) {
+      const activeDeviceId = getMyActiveDeviceId(kind);
+      const inputs = devices.filter((d) => d.kind === `${kind}input`);
+      if (!activeDeviceId || inputs.some((d) => d.deviceId === activeDeviceId))
+        continue;
+
+      const fallback =
+        inputs.find((d) => d.deviceId === "default") || inputs[0];
+      if (!fallback) {
+        notifyOfEvent(conferenceEvents.MediaDeviceLost, {
+          kind,
+          deviceId: activeDeviceId,
+        });
+        continue;
+      }
+
+      try {
+        await restartMyTracks(kind, fallback.deviceId);
+        notifyOfEvent(conferenceEvents.MediaDeviceSwitched, {
+          kind,
+          deviceId: fallback.deviceId,
+          previousDeviceId: activeDeviceId,
+          reason: DeviceSwitchReasons.DeviceLost,
+        });
+      } catch (e) {
+        notifyOfEvent(conferenceEvents.MediaDeviceLost, {
+          kind,
+          deviceId: activeDeviceId,
+          error: e,
+        });
+      }
+    }
+  };
+
+  const watchDeviceList = (watch) => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener)
+      return;
+    if (watch)
+      navigator.mediaDevices.addEventListener(
+        "devicechange",
+        onDeviceListChanged
+      );
+    else
+      navigator.mediaDevices.removeEventListener(
+        "devicechange",
+        onDeviceListChanged
+      );
+  };
+
+  /**
+   * Mute the microphone without unpublishing it
+   * @returns {Promise<void>}
+   */
+  const muteMyAudio = async () => muteMyTracks(MediaType.Audio);
+
+  /**
+   * Unmute the microphone, publishing it if needed
+   * @returns {Promise<void>}
+   */
+  const unmuteMyAudio = async () => unmuteMyTracks(MediaType.Audio);
+
+  /**
+   * Stop sending camera video without unpublishing the track
+   * @returns {Promise<void>}
+   */
+  const muteMyVideo = async () => muteMyTracks(MediaType.Video);
+
+  /**
+   * Resume sending camera video, publishing a track if needed
+   * @returns {Promise<void>}
+   */
+  const unmuteMyVideo = async () => unmuteMyTracks(MediaType.Video);
+
+  /**
+   * @returns {boolean} true when no enabled microphone track is published
+   */
+  const isMyAudioMuted = () =>
+    !getMyPublishedTracks(MediaType.Audio).some((track) => track.isEnabled);
+
+  /**
+   * @returns {boolean} true when no enabled camera track is published
+   */
+  const isMyVideoMuted = () =>
+    !getMyPublishedTracks(MediaType.Video).some((track) => track.isEnabled);
+
+  /**
+   * Turn on audio track, see engineOptions.muteMode
+   * @param {string} [deviceId]
+   * @returns {Promise<void>}
+   */
+  const turnOnMyAudio = async (deviceId) =>
+    muteMode === MuteModes.Disable
+      ? unmuteMyTracks(MediaType.Audio, deviceId)
+      : publishMyAudio(deviceId);
+
+  /**
+   * Turn on video track, see engineOptions.muteMode
+   * @param {string} [deviceId]
+   * @returns {Promise<void>}
+   */
+  const turnOnMyVideo = async (deviceId) => {
+    if (currentRoom && audioOnly.enabled)
+      throw invalidState(
+        "Can't turn on video in audio-only mode, see setAudioOnly"
+      );
+
+    return muteMode === MuteModes.Disable
+      ? unmuteMyTracks(MediaType.Video, deviceId)
+      : publishMyVideo(deviceId);
+  };
+
+  /**
+   * Turn off current audio track, see engineOptions.muteMode
+   * @returns {Promise<void>}
+   */
+  const turnOffMyAudio = async () =>
+    muteMode === MuteModes.Disable ? muteMyAudio() : unpublishMyAudio();
+
+  /**
+   * Turn off current video track, see engineOptions.muteMode
+   * @returns {Promise<void>}
+   */
+  const turnOffMyVideo = async () =>
+    muteMode === MuteModes.Disable ? muteMyVideo() : unpublishMyVideo();
+
+  /**
+   * Turn audio-only on or off in the current call: stop or resume sending
+   * the camera, stop any screen share, and switch remote videos off or on.
+   * @param {boolean} enabled
+   * @param {string} reason - one of AudioOnlyReasons
+   * @returns {Promise<void>}
+   */
+  const applyAudioOnly = async (enabled, reason) => {
+    if (audioOnly.enabled === enabled) {
+      //The user confirming audio-only keeps it past network recovery
+      if (enabled) audioOnly.reason = reason;
+      return;
+    }
+
+    audioOnly.enabled = enabled;
+    audioOnly.reason = enabled ? reason : null;
+    applyLayoutToTracks();
+    if (getVideoProfile().clientTrackSwitchOffControl !== "manual") {
+      notifyOfEvent(
+        conferenceEvents.Debug,
+        'Remote video keeps being received, connect with bandwidthProfile.video.clientTrackSwitchOffControl "manual" to stop it in audio-only mode'
+      );
+    }
+
+    if (enabled) {
+      const cameraTracks = getMyPublishedTracks(MediaType.Video);
+      //A muted camera (MuteModes.Disable) stays off when video resumes
+      audioOnly.resumeVideo = cameraTracks.some((track) => track.isEnabled);
+      if (currentScreenTrack) await stopScreenShare();
+      if (cameraTracks.length) await unpublishMyVideo();
+    } else {
+      //Joined audio-only, camera options are needed to turn video on later
+      if (!currentConnectOptions.video) {
+        currentConnectOptions.video = {
+          ...getConnectOptions().video,
+          deviceId: await getPreferredDeviceConstraint("videoInputDevice"),
+        };
+      }
+      if (audioOnly.resumeVideo) await publishMyVideo();
+      audioOnly.resumeVideo = false;
+    }
+
+    notifyOfEvent(conferenceEvents.AudioOnlyChanged, {
+      audioOnly: enabled,
+      reason,
+    });
+  };
+
+  /**
+   * Stop, or resume, sending and receiving video. Before joining, makes the
+   * next joinRoom audio-only. Overrides audio-only set by engineOptions.degradation.
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  const setAudioOnly = async (enabled) => {
+    audioOnlyRequested = Boolean(enabled);
+    if (currentRoom)
+      await applyAudioOnly(audioOnlyRequested, AudioOnlyReasons.User);
+  };
+
+  /**
+   * @returns {boolean} whether the current call, or the next join, is audio-only
+   */
+  const isAudioOnly = () =>
+    currentRoom ? audioOnly.enabled : audioOnlyRequested;
+
+  /**
+   * Apply a degradation level decided by engineOptions.degradation.
+   * @param {string} level - one of DegradationLevels
+   * @returns {Promise<void>}
+   */
+  const applyDegradation = async (level) => {
+    if (!currentRoom) return;
+
+    currentRoom.localParticipant.setParameters({
+      maxVideoBitrate:
+        level === DegradationLevels.None
+          ? currentConnectOptions.maxVideoBitrate || null
+          : degradation.getOptions().reducedMaxVideoBitrate,
+    });
+
+    if (level === DegradationLevels.AudioOnly) {
+      await applyAudioOnly(true, AudioOnlyReasons.NetworkQuality);
+    } else if (
+      audioOnly.enabled &&
+      audioOnly.reason === AudioOnlyReasons.NetworkQuality
+    ) {
+      await applyAudioOnly(false, AudioOnlyReasons.NetworkQuality);
+    }
+  };
+
+  const degradation = engineOptions.degradation
+    ? createDegradationPolicy(
+        (change) => {
+          notifyOfEvent(conferenceEvents.MediaDegradationChanged, change);
+          applyDegradation(change.level).catch((e) =>
+            notifyOfEvent(
+              conferenceEvents.ErrorOccured,
+              toEngineError(e, "Could not apply media degradation")
+            )
+          );
+        },
+        engineOptions.degradation === true ? {} : engineOptions.degradation
+      )
+    : null;
+
+  /**
+   * Unpublish and stop the screen tracks, putting the camera back to high priority.
+   * @param {string} reason - one of ScreenShareEndReasons
+   */
+  const endScreenShare = (reason) => {
+    const tracks = [currentScreenTrack, currentScreenAudioTrack];
+    if (!currentScreenTrack) return;
+    currentScreenTrack = null;
+    currentScreenAudioTrack = null;
+    currentScreenShareMode = null;
+
+    const participant =
+      currentRoom && currentRoom.state !== "disconnected"
+        ? currentRoom.localParticipant
+        : null;
+    tracks.forEach((track) => {
+      if (!track) return;
+      if (participant) participant.unpublishTrack(track);
+      track.stop();
+    });
+
+    if (participant) {
+      layout.clearScreenShare(participant);
+      participant.videoTracks.forEach((publication) =>
+        publication.setPriority("high")
+      );
+    }
+
+    notifyOfEvent(conferenceEvents.ScreenShareEnded, { reason });
+  };
+
   /**
    * Create a LocalVideoTrack for your screen. You can then share it
    * with other Participants in the Room.
    * @param {number} height - Desired vertical resolution in pixels
    * @param {number} width - Desired horizontal resolution in pixels
+   * @param {object} [options] - { audio, displaySurface, cursor, mode }, see screenshare.js
+   * createScreenTracks; shared audio is published as a separate audio track,
+   * mode defaults to ScreenShareModes.Detail
    * @returns {Promise<void>}
    */
-  const startScreenShare = async (height, width) => {
+  const startScreenShare = async (height, width, options) => {
+    const mode = (options && options.mode) || ScreenShareModes.Detail;
+    if (!currentRoom) throw notConnected("start screen share");
+    if (currentScreenTrack) throw invalidState("Already sharing the screen");
+    if (singlePresenter && remoteScreenShares.size) {
+      const presenterSid = remoteScreenShares.keys().next().value;
+      const presenter = currentRoom.participants.get(presenterSid);
+      throw new ScreenShareError(
+        ErrorCodes.ScreenShareBusy,
+        `${presenter ? presenter.identity : presenterSid} is already presenting`
+      );
+    }
+
     width = width || currentConnectOptions.video.width;
     height = height || currentConnectOptions.video.height;
 
-    return new Promise((resolve, reject) => {
-      createScreenTrack(height, width)
-        .then((track) => {
-          if (track) {
-            currentScreenTrack = track;
+    let tracks;
+    try {
+      tracks = await createScreenTracks({ ...options, mode, height, width });
+    } catch (e) {
+      throw toEngineError(e, "An error occured while starting screen share");
+    }
 
-            if (currentRoom.localParticipant.videoTracks) {
-              currentRoom.localParticipant.videoTracks.forEach((track) =>
-                track.setPriority("low")
-              );
-            }
+    //Left meanwhile
+    if (!currentRoom) {
+      tracks.video.stop();
+      if (tracks.audio) tracks.audio.stop();
+      throw notConnected("start screen share");
+    }
 
-            currentRoom.localParticipant
-              .publishTrack(track, {
-                priority: "high", //choose among 'high', 'standard' or 'low'
-              })
-              .then(() => resolve())
-              .catch((e) => {
-                reject(`Could not publish video track ${e.message}`);
-              });
-          }
-        })
-        .catch((e) => {
-          reject(`An error occured while starting screen share - ${e.message}`);
-        });
+    currentScreenTrack = tracks.video;
+    currentScreenAudioTrack = tracks.audio;
+    currentScreenShareMode = mode;
+
+    //The browser's "Stop sharing" button, or the shared window closing, fire
+    //"ended" on the captured track, stopping it ourselves doesn't
+    tracks.video.mediaStreamTrack.addEventListener("ended", () => {
+      if (currentScreenTrack === tracks.video)
+        endScreenShare(ScreenShareEndReasons.BrowserStopped);
     });
+
+    currentRoom.localParticipant.videoTracks.forEach((publication) =>
+      publication.setPriority("low")
+    );
+
+    try {
+      await Promise.all([
+        currentRoom.localParticipant.publishTrack(tracks.video, {
+          priority: getScreenShareModeSettings(mode).priority,
+        }),
+        tracks.audio && currentRoom.localParticipant.publishTrack(tracks.audio),
+      ]);
+    } catch (e) {
+      endScreenShare(ScreenShareEndReasons.Stopped);
+      throw toEngineError(e, "Could not publish screen track");
+    }
   };
 
   /**
@@ -567,88 +2076,270 @@ const TwilioVideoConferenceEngine = function () {
    * @returns {Promise<void>}
    */
   const stopScreenShare = async () => {
-    return new Promise((resolve, reject) => {
-      try {
-        if (currentScreenTrack) {
-          currentRoom.localParticipant.unpublishTrack(currentScreenTrack);
-          currentScreenTrack.stop();
-          currentScreenTrack = null;
-
-          if (currentRoom.localParticipant.videoTracks) {
-            currentRoom.localParticipant.videoTracks.forEach((track) =>
-              track.setPriority("high")
-            );
-          }
+    try {
+      endScreenShare(ScreenShareEndReasons.Stopped);
+    } catch (e) {
+      //The tracks are stopped, nothing else can be done
+      notifyOfEvent(
+        conferenceEvents.Debug,
+        `Error when stopping screen track - ${e.message}`
+      );
+    }
+  };
 
-          resolve();
-        }
-      } catch (e) {
-        reject(`Error when stopping screen track: ${e.message}`);
-      }
+  /**
+   * @returns {boolean} whether the local participant is sharing the screen
+   */
+  const isScreenSharing = () => Boolean(currentScreenTrack);
+
+  /**
+   * Switch what the screen share is tuned for, e.g. from slides to a video.
+   * @param {string} mode - one of ScreenShareModes
+   * @returns {Promise<void>}
+   */
+  const setScreenShareMode = async (mode) => {
+    if (!currentScreenTrack) throw invalidState("Not sharing the screen");
+
+    const track = currentScreenTrack;
+    const { priority } = await applyScreenShareMode(track, mode);
+    //Stopped meanwhile
+    if (currentScreenTrack !== track) return;
+    currentScreenShareMode = mode;
+
+    currentRoom.localParticipant.videoTracks.forEach((publication) => {
+      if (publication.track === track) publication.setPriority(priority);
     });
   };
 
+  /**
+   * @returns {string|null} one of ScreenShareModes, null when not sharing
+   */
+  const getScreenShareMode = () => currentScreenShareMode;
+
   /**
    *
    * @param {string} roomName - the room being quit
+   * @returns {object|undefined} the call quality summary of the session, see getCallQualityReport
    */
   const leaveRoom = (roomName) => {
-    //turn off local tracks
-    turnOffMyVideo();
-    turnOffMyAudio();
-
-    //call participant disconnected callback for local participant
-    notifyOfEvent(
-      conferenceEvents.ParticipantDisconnected,
-      currentRoom ? currentRoom.localParticipant : null
-    );
+    //Stop any pending rejoin, there is no room to disconnect from meanwhile
+    if (rejoinAttempt) {
+      cancelRejoin();
+      connectionState.transition(ConnectionStates.Disconnected, {
+        reason: DisconnectReasons.Left,
+      });
+      //The dropped room already reported RoomDisconnected, end the session
+      notifyOfEvent(conferenceEvents.RoomCompleted, {
+        room: null,
+        reason: DisconnectReasons.Left,
+        error: null,
+      });
+    }
 
     if (!currentRoom) return;
 
-    //call participant disconnected callback for all remote participants
-    currentRoom.participants.forEach((participant) => {
-      notifyOfEvent(conferenceEvents.ParticipantDisconnected, participant);
-    });
+    //turn off local tracks, nothing to report if there were none
+    unpublishMyVideo().catch(() => {});
+    unpublishMyAudio().catch(() => {});
 
     notifyOfEvent(conferenceEvents.Debug, `Disconnected from room ${roomName}`);
 
-    if (currentRoom) currentRoom.disconnect();
+    //The room "disconnected" handler reports ParticipantDisconnected for
+    //everyone and RoomDisconnected with reason DisconnectReasons.Left
+    currentRoom.disconnect();
 
     currentRoom = null;
+
+    return callStats.summarize();
   };
 
   /**
    *
    * @param {function} render - the function to call with the video media stream
+   * @returns {Promise<string>} the device id selected, rejected when there is no camera
    */
-  const selectDefaultVideoSource = (render) => {
-    Media.selectDefaultMedia(MediaType.Video, render);
-  };
+  const selectDefaultVideoSource = (render) =>
+    Media.selectDefaultMedia(MediaType.Video, render, previewTracks).then(
+      async (videoInputDeviceId) => {
+        await storePreferredDevice("videoInputDevice", videoInputDeviceId);
+        return videoInputDeviceId;
+      }
+    );
 
   /**
    *
    * @param {function} render - the function to call with the audio media stream
+   * @returns {Promise<string>} the device id selected, rejected when there is no microphone
    */
-  const selectDefaultAudioSource = (render) => {
-    Media.selectDefaultMedia(MediaType.Audio, render);
-  };
+  const selectDefaultAudioSource = (render) =>
+    Media.selectDefaultMedia(MediaType.Audio, render, previewTracks).then(
+      async (audioInputDeviceId) => {
+        await storePreferredDevice("audioInputDevice", audioInputDeviceId);
+        return audioInputDeviceId;
+      }
+    );
 
   /**
    *
    * @param {string} videoDeviceId - the id of the video device
    * @param {function} render -  - the function to call with the video media stream
+   * @returns {Promise<void>} failures are reported with ErrorOccured
    */
-  const changeVideoSource = (videoDeviceId, render) => {
-    Media.applyInputDevice(MediaType.Video, videoDeviceId, render);
+  const changeVideoSource = async (videoDeviceId, render) => {
+    try {
+      //In a call only the published camera moves, capturing the device twice
+      //fails on cameras that can only be opened once
+      if (currentRoom) await switchMyVideoInput(videoDeviceId);
+      else
+        await Media.applyInputDevice(
+          MediaType.Video,
+          videoDeviceId,
+          render,
+          previewTracks
+        );
+    } catch (e) {
+      notifyOfEvent(conferenceEvents.ErrorOccured, e);
+    }
   };
 
   /**
    *
    * @param {string} audioInputDeviceId - the id of the audio device
    * @param {function} render -  - the function to call with the audio media stream
+   * @returns {Promise<void>} failures are reported with ErrorOccured
+   */
+  const changeAudioSource = async (audioInputDeviceId, render) => {
+    try {
+      //In a call only the published microphone moves, no second capture
+      if (currentRoom) await switchMyAudioInput(audioInputDeviceId);
+      else
+        await Media.applyInputDevice(
+          MediaType.Audio,
+          audioInputDeviceId,
+          render,
+          previewTracks
+        );
+    } catch (e) {
+      notifyOfEvent(conferenceEvents.ErrorOccured, e);
+    }
+  };
+
+  /**
+   * Send a message to everyone in the room over the data track.
+   * @param {any} payload - any JSON serializable value
+   * @param {object} [options]
+   * @param {string|string[]} [options.to] - identities or sids of the only recipients;
+   * messages are still broadcast, so this filters delivery, it does not hide content
+   * @param {string} [options.type] - one of MessageTypes or an app specific type, defaults to "custom"
+   * @returns {object} the message sent: { id, type, payload, timestamp, to }
+   */
+  const sendMessage = (payload, options = {}) => {
+    if (!messagingEnabled)
+      throw invalidState("Can't send message - messaging is disabled");
+    if (!currentRoom) throw notConnected("send message");
+    if (options.type === MessageTypes.Moderation)
+      throw invalidArgument("Can't send message - moderation type is reserved");
+
+    return messaging.send(
+      options.type || MessageTypes.Custom,
+      payload,
+      options.to
+    );
+  };
+
+  /**
+   * @param {string} text - the chat message
+   * @param {object} [options] - { to }, see sendMessage
+   * @returns {object} the message sent
+   */
+  const sendChatMessage = (text, options = {}) =>
+    sendMessage({ text }, { ...options, type: MessageTypes.Chat });
+
+  /**
+   * @param {string} emoji - the reaction, e.g. "👍"
+   * @param {object} [options] - { to }, see sendMessage
+   * @returns {object} the message sent
+   */
+  const sendReaction = (emoji, options = {}) =>
+    sendMessage({ emoji }, { ...options, type: MessageTypes.Reaction });
+
+  const assertCanModerate = (action) => {
+    if (!messagingEnabled)
+      throw invalidState(`Can't ${action} - messaging is disabled`);
+    if (!currentRoom) throw notConnected(action);
+  };
+
+  /**
+   * Raise the local participant's hand, see HandRaised
+   */
+  const raiseHand = () => {
+    assertCanModerate("raise hand");
+    moderation.raiseHand();
+  };
+
+  /**
+   * Lower the local hand, or ask another participant to lower theirs.
+   * @param {string} [participantSid] - defaults to the local participant
+   */
+  const lowerHand = (participantSid) => {
+    assertCanModerate("lower hand");
+    moderation.lowerHand(participantSid);
+  };
+
+  /**
+   * Lower every raised hand in the room, only for engineOptions.hosts
+   */
+  const lowerAllHands = () => {
+    assertCanModerate("lower all hands");
+    moderation.lowerAllHands();
+  };
+
+  /**
+   * @returns {object[]} { participantSid, identity, raisedAt } in the order hands were received
+   */
+  const getRaisedHands = () => moderation.getRaisedHands();
+
+  /**
+   * @param {string} [participantSid] - defaults to the local participant
+   * @returns {boolean}
+   */
+  const isHandRaised = (participantSid) =>
+    moderation.isHandRaised(participantSid);
+
+  /**
+   * Ask a participant to e.g. unmute or turn off their camera, only for
+   * engineOptions.hosts. The receiving app gets ModerationRequestReceived and
+   * decides whether to comply.
+   * @param {string} participant - sid or identity of the participant
+   * @param {string} request - one of ModerationRequests
+   * @param {any} [details] - app specific info, e.g. a message to show
+   */
+  const sendModerationRequest = (participant, request, details) => {
+    assertCanModerate("send moderation request");
+    moderation.sendRequest(participant, request, details);
+  };
+
+  /**
+   * Stop the preview tracks started by this engine, e.g. when leaving the lobby
    */
-  const changeAudioSource = (audioInputDeviceId, render) => {
-    Media.applyInputDevice(MediaType.Audio, audioInputDeviceId, render);
+  const stopMediaPreview = () => {
+    Media.stopPreviewTracks(previewTracks);
+  };
+
+  /**
+   * Check browser support, camera and microphone capture, microphone signal,
+   * camera frames and, when a token is given, connectivity to Twilio.
+   * Uses the default device ids of this engine unless others are supplied.
+   * @param {object} [options] - see preflight.js runPreflightCheck
+   * @returns {Promise<object>} { status, checks: [{ name, status, reason, details }] }
+   */
+  const runPreflightCheck = async (options) => {
+    return Preflight.runPreflightCheck({
+      //Stored ids that can't be checked yet are only preferred, as on join
+      audioDeviceId: await getPreferredDeviceConstraint("audioInputDevice"),
+      videoDeviceId: await getPreferredDeviceConstraint("videoInputDevice"),
+      ...options,
+    });
   };
 
   /**
@@ -673,6 +2364,133 @@ const TwilioVideoConferenceEngine = function () {
     return await Media.getInputDevices(MediaType.Audio);
   };
 
+  /**
+   * @returns {object} the current layout, see LayoutChanged
+   * { mode, page, pageCount, main, filmstrip, screenShare, visible }
+   */
+  const getLayout = () => layout.getLayout();
+
+  /**
+   * @param {string} mode - one of LayoutModes, resets to the first page
+   */
+  const setLayoutMode = (mode) => layout.setMode(mode);
+
+  /**
+   * @param {number} page - zero based, clamped to the pages available
+   */
+  const setLayoutPage = (page) => layout.setPage(page);
+
+  /**
+   * @param {number} size - tiles per page in grid mode, filmstrip tiles otherwise
+   */
+  const setLayoutPageSize = (size) => layout.setPageSize(size);
+
+  /**
+   * Show a participant big in speaker mode and first in the grid, and
+   * receive their camera at high priority.
+   * @param {string|null} participantSid - null to unpin
+   */
+  const pinParticipant = (participantSid) => {
+    const previous = layout.getPinned();
+    if (previous) applyPinPriority(previous, false);
+    layout.pin(participantSid);
+    if (participantSid) applyPinPriority(participantSid, true);
+  };
+
+  /**
+   * @returns {string|null} the sid of the pinned participant
+   */
+  const getPinnedParticipant = () => layout.getPinned();
+
+  /**
+   * Set how much bandwidth a remote track gets compared to the others.
+   * @param {string} trackSid
+   * @param {string|null} priority - "low", "standard", "high", or null for the publisher's priority
+   */
+  const setRemoteTrackPriority = (trackSid, priority) =>
+    trackControl.setPriority(trackSid, priority);
+
+  /**
+   * Stop receiving a remote video until switchOnRemoteVideo or releaseRemoteVideo.
+   * Requires bandwidthProfile.video.clientTrackSwitchOffControl "manual".
+   * @param {string} trackSid
+   */
+  const switchOffRemoteVideo = (trackSid) => trackControl.switchOff(trackSid);
+
+  /**
+   * Receive a remote video, even when the layout doesn't show it.
+   * Requires bandwidthProfile.video.clientTrackSwitchOffControl "manual".
+   * @param {string} trackSid
+   */
+  const switchOnRemoteVideo = (trackSid) => trackControl.switchOn(trackSid);
+
+  /**
+   * Hint the size a remote video is displayed at, instead of the layout's.
+   * Requires bandwidthProfile.video.contentPreferencesMode "manual".
+   * @param {string} trackSid
+   * @param {object} renderDimensions - { width, height } in pixels
+   */
+  const setRemoteVideoRenderDimensions = (trackSid, renderDimensions) =>
+    trackControl.setRenderDimensions(trackSid, renderDimensions);
+
+  /**
+   * Let the layout decide again whether and how big a remote video is received.
+   * @param {string} trackSid
+   */
+  const releaseRemoteVideo = (trackSid) => trackControl.release(trackSid);
+
+  /**
+   * Render the participants of the room in a container: one tile per
+   * participant with their video, audio and a placeholder when video is off,
+   * plus a slot for screen shares. Renders the current room right away if any.
+   * @param {HTMLElement} container
+   * @param {object} [options] - see renderer.js
+   * @returns {object} { destroy } to stop rendering and clean the container
+   */
+  const renderTo = (container, options = {}) =>
+    createRenderer(
+      {
+        on,
+        getRoom: () => currentRoom,
+        getLayout: layout.getLayout,
+        isScreenTrack,
+      },
+      container,
+      {
+        //Remote audio already played by the engine must not be played twice
+        renderAudio: !manageRemoteAudio,
+        ...options,
+      }
+    );
+
+  /**
+   * @returns {boolean} whether setAudioOutputDevice can work on this browser
+   */
+  const isAudioOutputSelectionSupported = () => isSinkSelectionSupported();
+
+  /**
+   * Route remote audio played by the engine to the given output device, now
+   * and for tracks subscribed later, and remember it as the default output.
+   * Requires engineOptions.manageRemoteAudio to affect the call.
+   * @param {string} audioOutputDeviceId
+   * @returns {Promise<void>} rejected when the browser lacks output selection
+   */
+  const setAudioOutputDevice = async (audioOutputDeviceId) => {
+    if (!isSinkSelectionSupported())
+      throw new NotSupportedError(
+        ErrorCodes.NotSupported,
+        "Audio output selection is not supported by this browser"
+      );
+
+    await audioOutput.setSinkId(audioOutputDeviceId);
+    await assignDefaultAudioOutputDeviceId(audioOutputDeviceId);
+  };
+
+  /**
+   * @returns {string|null} the output device remote audio is routed to, null for the system default
+   */
+  const getAudioOutputDevice = () => audioOutput.getSinkId();
+
   /*
    * @returns {Promise<MediaDeviceInfo[]>} the list of audio media devices
    */
@@ -682,12 +2500,15 @@ const TwilioVideoConferenceEngine = function () {
 
   /**
    * @param {function} callback the function to execute when a device is added or removed, callback must handle argument MediaDeviceInfo[]
+   * @returns {Promise<function>} removes the callback, call it before registering a new one
    */
   const onMediaDevicesListChange = async (callback) => {
     if (!callback) {
       notifyOfEvent(
         conferenceEvents.ErrorOccured,
-        `onMediaDevicesListChange - callback was not supplied, no change handler will be registered`
+        invalidArgument(
+          "onMediaDevicesListChange - callback was not supplied, no change handler will be registered"
+        )
       );
     }
 
@@ -698,48 +2519,184 @@ const TwilioVideoConferenceEngine = function () {
     return Video.isSupported;
   };
 
-  const assignDefaultAudioInputDeviceId = (audioInputDeviceId) => {
-    if (localStorage)
-      localStorage.setItem("audioInputDeviceId", audioInputDeviceId);
-  };
+  /**
+   * @returns {Promise<object>} { audioInputDevice, audioOutputDevice,
+   * videoInputDevice, videoResolution, muteAudioOnJoin, muteVideoOnJoin },
+   * devices as { deviceId, label, groupId }
+   */
+  const getPreferences = () => preferences.load();
 
-  const assignDefaultAudioOutputDeviceId = (audioOutputDeviceId) => {
-    if (localStorage)
-      localStorage.setItem("audioOutputDeviceId", audioOutputDeviceId);
-  };
+  /**
+   * Store preferences, used from the next joinRoom on, see engineOptions.storage.
+   * @param {object} changes - some keys of getPreferences, null resets a key
+   * @returns {Promise<object>} the updated preferences
+   */
+  const setPreferences = async (changes) => preferences.update(changes);
 
-  const assignDefaultVideoInputDeviceId = (videoDeviceId) => {
-    if (localStorage) localStorage.setItem("videoDeviceId", videoDeviceId);
-  };
+  /**
+   * Store a device with its label and group, to find it again when its id changes.
+   * @param {string} name - a device key of getPreferences
+   * @param {string} deviceId
+   * @returns {Promise<object>} the updated preferences
+   */
+  const storePreferredDevice = async (name, deviceId) =>
+    setPreferences({
+      [name]: await findDeviceDescription(preferredDeviceKinds[name], deviceId),
+    });
 
-  const clearDefaultAudioInputDeviceId = () => {
-    if (localStorage) localStorage.removeItem("audioInputDeviceId");
-  };
+  /**
+   * Find a preferred device among the current ones. Fires PreferredDeviceNotFound
+   * when it is gone, and stores its new id when it was found by label or group.
+   * @param {string} name - a device key of getPreferences
+   * @returns {Promise<object>} { deviceId, checked }, deviceId null for the system
+   * default, checked false when the device list can't be read yet and deviceId is
+   * the stored one
+   */
+  const findPreferredDevice = async (name) => {
+    const preferred = (await preferences.load())[name];
+    if (!preferred) return { deviceId: null, checked: false };
+
+    const deviceKind = preferredDeviceKinds[name];
+    const { device, matchedBy } = await resolveDevice(deviceKind, preferred);
+    if (matchedBy === DeviceMatches.Unchecked)
+      return { deviceId: preferred.deviceId, checked: false };
+
+    if (!device) {
+      notifyOfEvent(conferenceEvents.PreferredDeviceNotFound, {
+        deviceKind,
+        preferred,
+      });
+      return { deviceId: null, checked: true };
+    }
 
-  const clearDefaultAudioOutputDeviceId = () => {
-    if (localStorage) localStorage.removeItem("audioOutputDeviceId");
+    //Found under a new id, or its label can be read now
+    if (device.deviceId !== preferred.deviceId || !preferred.label) {
+      notifyOfEvent(
+        conferenceEvents.Debug,
+        `Preferred ${deviceKind} ${preferred.deviceId} is ${device.deviceId}, found by ${matchedBy}`
+      );
+      await setPreferences({ [name]: describeDevice(device) });
+    }
+    return { deviceId: device.deviceId, checked: true };
   };
 
-  const clearDefaultVideoInputDeviceId = () => {
-    if (localStorage) localStorage.removeItem("videoDeviceId");
+  /**
+   * @param {string} name - a device key of getPreferences
+   * @returns {Promise<string|null>} the current id of a preferred device, null for
+   * the system default, see findPreferredDevice
+   */
+  const resolvePreferredDevice = async (name) =>
+    (await findPreferredDevice(name)).deviceId;
+
+  /**
+   * @param {string} name - an input device key of getPreferences
+   * @returns {Promise<object|undefined>} the deviceId constraint to capture a
+   * preferred device, undefined for the system default
+   */
+  const getPreferredDeviceConstraint = async (name) => {
+    const { deviceId, checked } = await findPreferredDevice(name);
+    if (!deviceId) return undefined;
+    //A stored id that can't be checked may be stale, e.g. Safari rotates them
+    //every session, so let the browser fall back to the default device
+    return checked ? { exact: deviceId } : { ideal: deviceId };
   };
 
-  const clearAllDefaultMediaDeviceIds = () => {
-    clearDefaultAudioInputDeviceId();
-    clearDefaultAudioOutputDeviceId();
-    clearDefaultVideoInputDeviceId();
+  /**
+   * Check a device captured with an { ideal } constraint now that the device
+   * list is readable, moving the published track to it when it was found under
+   * a new id and firing PreferredDeviceNotFound when it is gone.
+   * @param {string} kind - MediaType.Audio or MediaType.Video
+   * @returns {Promise<void>}
+   */
+  const verifyPreferredDevice = async (kind) => {
+    const { deviceId, checked } = await findPreferredDevice(
+      kind === MediaType.Audio ? "audioInputDevice" : "videoInputDevice"
+    );
+    if (!checked || !deviceId || !currentRoom) return;
+
+    if (currentConnectOptions[kind])
+      currentConnectOptions[kind].deviceId = { exact: deviceId };
+    const activeDeviceId = getMyActiveDeviceId(kind);
+    if (activeDeviceId && activeDeviceId !== deviceId)
+      await restartMyTracks(kind, deviceId);
   };
 
+  const assignDefaultAudioInputDeviceId = (audioInputDeviceId) =>
+    storePreferredDevice("audioInputDevice", audioInputDeviceId);
+
+  const assignDefaultAudioOutputDeviceId = (audioOutputDeviceId) =>
+    storePreferredDevice("audioOutputDevice", audioOutputDeviceId);
+
+  const assignDefaultVideoInputDeviceId = (videoInputDeviceId) =>
+    storePreferredDevice("videoInputDevice", videoInputDeviceId);
+
+  const clearDefaultAudioInputDeviceId = () =>
+    setPreferences({ audioInputDevice: null });
+
+  const clearDefaultAudioOutputDeviceId = () =>
+    setPreferences({ audioOutputDevice: null });
+
+  const clearDefaultVideoInputDeviceId = () =>
+    setPreferences({ videoInputDevice: null });
+
+  const clearAllDefaultMediaDeviceIds = () =>
+    setPreferences({
+      audioInputDevice: null,
+      audioOutputDevice: null,
+      videoInputDevice: null,
+    });
+
   //Public API
   return {
     registerCallbacks,
     init,
+    on,
+    off,
+    once,
+    getConnectionState,
+    getNetworkQuality,
+    getCallQualityReport,
+    sendMessage,
+    sendChatMessage,
+    sendReaction,
+    raiseHand,
+    lowerHand,
+    lowerAllHands,
+    getRaisedHands,
+    isHandRaised,
+    sendModerationRequest,
     joinRoom,
     leaveRoom,
     turnOnMyVideo,
     turnOnMyAudio,
     turnOffMyVideo,
     turnOffMyAudio,
+    muteMyAudio,
+    unmuteMyAudio,
+    muteMyVideo,
+    unmuteMyVideo,
+    isMyAudioMuted,
+    isMyVideoMuted,
+    switchMyAudioInput,
+    switchMyVideoInput,
+    isAudioOutputSelectionSupported,
+    setAudioOutputDevice,
+    getAudioOutputDevice,
+    getLayout,
+    setLayoutMode,
+    setLayoutPage,
+    setLayoutPageSize,
+    setAudioOnly,
+    isAudioOnly,
+    getUnavailableMedia,
+    pinParticipant,
+    getPinnedParticipant,
+    setRemoteTrackPriority,
+    switchOffRemoteVideo,
+    switchOnRemoteVideo,
+    setRemoteVideoRenderDimensions,
+    releaseRemoteVideo,
+    renderTo,
     changeVideoSource,
     changeAudioSource,
     listAllVideoDevices,
@@ -749,10 +2706,15 @@ const TwilioVideoConferenceEngine = function () {
     onMediaDevicesListChange,
     startScreenShare,
     stopScreenShare,
+    isScreenSharing,
+    setScreenShareMode,
+    getScreenShareMode,
     getRoomCredentials,
     attachMicVolumeListener,
     selectDefaultVideoSource,
     selectDefaultAudioSource,
+    stopMediaPreview,
+    runPreflightCheck,
     assignDefaultAudioInputDeviceId,
     assignDefaultAudioOutputDeviceId,
     assignDefaultVideoInputDeviceId,
@@ -760,12 +2722,58 @@ const TwilioVideoConferenceEngine = function () {
     clearDefaultAudioOutputDeviceId,
     clearDefaultVideoInputDeviceId,
     clearAllDefaultMediaDeviceIds,
+    getPreferences,
+    setPreferences,
     isMobile: isMobile,
     getUrlParams,
     addUrlParams,
     isBrowserSupported,
     canScreenshare,
+    ConnectProfiles,
+    getConnectOptions,
+    validateConnectOptions,
   };
 };
 
-module.exports = { CoreConferenceEngine: new TwilioVideoConferenceEngine() };
+/**
+ * Create a new, independent conference engine instance.
+ * @param {object} [engineOptions] - see TwilioVideoConferenceEngine
+ * @returns {object} the engine public API
+ */
+const createConferenceEngine = (engineOptions) =>
+  new TwilioVideoConferenceEngine(engineOptions);
+
+module.exports = {
+  conferenceEvents,
+  DisconnectReasons,
+  ConnectionStates,
+  MuteModes,
+  DeviceSwitchReasons,
+  LayoutModes,
+  AudioOnlyReasons,
+  ScreenShareEndReasons,
+  TrackSources,
+  ScreenShareModes,
+  DisplaySurfaces,
+  CursorModes,
+  DegradationLevels,
+  MediaUnavailableReasons,
+  StorageTypes,
+  DeviceMatches,
+  ErrorCodes,
+  EngineError,
+  MediaAccessError,
+  ConnectionError,
+  ScreenShareError,
+  NotSupportedError,
+  UsageError,
+  decodeAccessToken,
+  MessageTypes,
+  ModerationRequests,
+  CheckStatus: Preflight.CheckStatus,
+  PreflightChecks: Preflight.PreflightChecks,
+  TwilioVideoConferenceEngine,
+  createConferenceEngine,
+  //Default instance kept for backward compatibility
+  CoreConferenceEngine: createConferenceEngine(),
+};
@@ -0,0 +1,279 @@
+"use strict";
+
+const { invalidArgument } = require("./errors");
+
+const LayoutModes = {
+  //Everyone in equal tiles, paginated
+  Grid: "grid",
+  //The dominant speaker big, the others in a paginated filmstrip
+  Speaker: "speaker",
+  //The screen share big, participants in a paginated filmstrip
+  Presentation: "presentation",
+};
+
+const defaultLayoutOptions = {
+  mode: LayoutModes.Grid,
+  pageSize: 9,
+  filmstripSize: 5,
+  includeLocal: true,
+  mainDimensions: { width: 1280, height: 720 },
+  thumbnailDimensions: { width: 320, height: 180 },
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const paginate = (sids, page, size) => {
+  const pageCount = Math.max(1, Math.ceil(sids.length / size));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  return {
+    page: current,
+    pageCount,
+    items: sids.slice(current * size, (current + 1) * size),
+  };
+};
+
+/**
+ * Compute which participants are visible, and how big, for the selected mode.
+ * @param {function} onChange - called with the new layout whenever it changes
+ * @param {object} [options] - see defaultLayoutOptions
+ * @returns {object} the layout engine
+ */
+const createLayout = (onChange, options = {}) => {
+  options = { ...defaultLayoutOptions, ...options };
+  if (!Object.values(LayoutModes).includes(options.mode))
+    throw invalidArgument(`Unknown layout mode ${options.mode}`);
+
+  //Participant sids in the order they joined
+  const participants = [];
+  let localSid = null;
+  let dominantSpeakerSid = null;
+  let pinnedSid = null;
+  let screenShare = null;
+  let mode = options.mode;
+  let page = 0;
+  let current = null;
+  let currentKey = null;
+
+  //Pinned participant first, so they stay on the first grid page
+  const ordered = () =>
+    participants
+      .filter((sid) => options.includeLocal || sid !== localSid)
+      .sort((a, b) => (b === pinnedSid) - (a === pinnedSid));
+
+  //The participant shown big when nobody shares their screen, pinned first
+  const getSpeaker = () => {
+    const sids = ordered();
+    if (pinnedSid && sids.includes(pinnedSid)) return pinnedSid;
+    if (dominantSpeakerSid && sids.includes(dominantSpeakerSid))
+      return dominantSpeakerSid;
+    return sids.find((sid) => sid !== localSid) || sids[0] || null;
+  };
+
+  const compute = () => {
+    const sids = ordered();
+    const presenting = mode === LayoutModes.Presentation && screenShare;
+
+    if (mode === LayoutModes.Grid) {
+      const grid = paginate(sids, page, options.pageSize);
+      return {
+        mode,
+        page: grid.page,
+        pageCount: grid.pageCount,
+        main: grid.items,
+        filmstrip: [],
+        screenShare: null,
+      };
+    }
+
+    //Speaker, or presentation without a screen share to present
+    const speaker = presenting ? null : getSpeaker();
+    const filmstrip = paginate(
+      sids.filter((sid) => sid !== speaker),
+      page,
+      options.filmstripSize
+    );
+    return {
+      mode,
+      page: filmstrip.page,
+      pageCount: filmstrip.pageCount,
+      main: speaker ? [speaker] : [],
+      filmstrip: filmstrip.items,
+      screenShare: presenting ? screenShare : null,
+    };
+  };
+
+  const keyOf = (layout) =>
+    JSON.stringify({
+      ...layout,
+      screenShare: layout.screenShare && layout.screenShare.participantSid,
+    });
+
+  const update = () => {
+    const next = compute();
+    page = next.page;
+    const key = keyOf(next);
+    if (key === currentKey) return;
+
+    current = next;
+    currentKey = key;
+    onChange(getLayout());
+  };
+
+  /**
+   * @returns {object} { mode, page, pageCount, main, filmstrip, screenShare, visible }
+   * main and filmstrip hold participant sids, screenShare is { participantSid, track } or null
+   */
+  const getLayout = () => {
+    if (!current) current = compute();
+    return {
+      ...current,
+      visible: [...current.main, ...current.filmstrip],
+    };
+  };
+
+  /**
+   * @param {Participant} participant
+   * @param {boolean} [isLocal]
+   */
+  const addParticipant = (participant, isLocal = false) => {
+    if (isLocal) localSid = participant.sid;
+    if (participants.includes(participant.sid)) return;
+    participants.push(participant.sid);
+    update();
+  };
+
+  const removeParticipant = (participant) => {
+    const index = participants.indexOf(participant.sid);
+    if (index === -1) return;
+
+    participants.splice(index, 1);
+    if (dominantSpeakerSid === participant.sid) dominantSpeakerSid = null;
+    if (pinnedSid === participant.sid) pinnedSid = null;
+    if (screenShare && screenShare.participantSid === participant.sid)
+      screenShare = null;
+    update();
+  };
+
+  /**
+   * @param {Participant|null} participant - null when nobody is speaking
+   */
+  const setDominantSpeaker = (participant) => {
+    //Keep the last speaker on screen through silences
+    if (!participant) return;
+    dominantSpeakerSid = participant.sid;
+    update();
+  };
+
+  /**
+   * Show a participant big in speaker mode whoever is speaking, and first in the grid.
+   * @param {string|null} participantSid - null to follow the dominant speaker again
+   */
+  const pin = (participantSid) => {
+    pinnedSid = participantSid || null;
+    update();
+  };
+
+  const getPinned = () => pinnedSid;
+
+  /**
+   * @param {Participant} participant - the presenter
+   * @param {any} track - their screen track
+   */
+  const setScreenShare = (participant, track) => {
+    screenShare = { participantSid: participant.sid, track };
+    update();
+  };
+
+  /**
+   * @param {Participant} participant - the presenter who stopped sharing
+   */
+  const clearScreenShare = (participant) => {
+    if (!screenShare || screenShare.participantSid !== participant.sid) return;
+    screenShare = null;
+    update();
+  };
+
+  /**
+   * @param {string} nextMode - one of LayoutModes
+   */
+  const setMode = (nextMode) => {
+    if (!Object.values(LayoutModes).includes(nextMode))
+      throw invalidArgument(`Unknown layout mode ${nextMode}`);
+
+    if (nextMode !== mode) page = 0;
+    mode = nextMode;
+    update();
+  };
+
+  /**
+   * @param {number} nextPage - zero based, clamped to the pages available
+   */
+  const setPage = (nextPage) => {
+    if (!Number.isInteger(nextPage))
+      throw invalidArgument("Page must be an integer");
+    page = nextPage;
+    update();
+  };
+
+  /**
+   * @param {number} size - tiles per page in grid mode, or in the filmstrip otherwise
+   */
+  const setPageSize = (size) => {
+    if (!isPositiveInteger(size))
+      throw invalidArgument("Page size must be a positive integer");
+
+    if (mode === LayoutModes.Grid) options.pageSize = size;
+    else options.filmstripSize = size;
+    update();
+  };
+
+  /**
+   * How a participant's video should be received, null when not visible.
+   * @param {string} participantSid
+   * @returns {object|null} render dimensions { width, height }
+   */
+  const getRenderDimensions = (participantSid) => {
+    const layout = getLayout();
+    if (layout.main.includes(participantSid)) {
+      //Big grids get thumbnails too
+      return layout.mode === LayoutModes.Grid && layout.main.length > 4
+        ? options.thumbnailDimensions
+        : options.mainDimensions;
+    }
+    return layout.filmstrip.includes(participantSid)
+      ? options.thumbnailDimensions
+      : null;
+  };
+
+  const getScreenShareDimensions = () => options.mainDimensions;
+
+  const reset = () => {
+    participants.length = 0;
+    localSid = null;
+    dominantSpeakerSid = null;
+    pinnedSid = null;
+    screenShare = null;
+    page = 0;
+    current = null;
+    currentKey = null;
+  };
+
+  return {
+    getLayout,
+    addParticipant,
+    removeParticipant,
+    setDominantSpeaker,
+    pin,
+    getPinned,
+    setScreenShare,
+    clearScreenShare,
+    setMode,
+    setPage,
+    setPageSize,
+    getRenderDimensions,
+    getScreenShareDimensions,
+    reset,
+  };
+};
+
+module.exports = { LayoutModes, createLayout };
@@ -0,0 +1,102 @@
+"use strict";
+
+const Video = require("twilio-video");
+
+/**
+ * Why a kind of media could not be captured, see MediaUnavailable
+ */
+const MediaUnavailableReasons = {
+  NotFound: "notFound",
+  PermissionDenied: "permissionDenied",
+  InUse: "inUse",
+  Unknown: "unknown",
+};
+
+/**
+ * @param {Error} error - a getUserMedia failure
+ * @returns {string} one of MediaUnavailableReasons
+ */
+const getCaptureErrorReason = (error) => {
+  switch (error && error.name) {
+    case "NotAllowedError":
+    case "PermissionDeniedError":
+    case "SecurityError":
+      return MediaUnavailableReasons.PermissionDenied;
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+    case "OverconstrainedError":
+      return MediaUnavailableReasons.NotFound;
+    case "NotReadableError":
+    case "TrackStartError":
+    case "AbortError":
+      return MediaUnavailableReasons.InUse;
+    default:
+      return MediaUnavailableReasons.Unknown;
+  }
+};
+
+const createTrack = (kind, options) =>
+  kind === "audio"
+    ? Video.createLocalAudioTrack(options)
+    : Video.createLocalVideoTrack(options);
+
+/**
+ * Create a local track, falling back to the system default device when the
+ * requested one is gone, e.g. a stored device id from another session.
+ * @param {string} kind - "audio" or "video"
+ * @param {object} options - createLocalTrackOptions, maybe with a deviceId
+ * @returns {Promise<LocalTrack>}
+ */
+const createTrackWithFallback = (kind, options) =>
+  createTrack(kind, options).catch((error) => {
+    if (
+      !options.deviceId ||
+      getCaptureErrorReason(error) !== MediaUnavailableReasons.NotFound
+    )
+      throw error;
+
+    return createTrack(kind, { ...options, deviceId: undefined });
+  });
+
+/**
+ * Create the local tracks asked for by connect options, leaving out the kinds
+ * that can't be captured instead of failing.
+ * @param {object} connectOptions - its audio and video keys are used, false to skip a kind
+ * @returns {Promise<object>} { tracks, unavailable: [{ kind, reason, error }] }
+ */
+const createAvailableTracks = async (connectOptions) => {
+  const kinds = ["audio", "video"].filter((kind) => connectOptions[kind]);
+  const trackOptions = (kind) =>
+    connectOptions[kind] === true ? {} : connectOptions[kind];
+
+  //One prompt for both kinds when everything is there
+  if (kinds.length > 1) {
+    try {
+      const tracks = await Video.createLocalTracks({
+        audio: trackOptions("audio"),
+        video: trackOptions("video"),
+      });
+      return { tracks, unavailable: [] };
+    } catch (e) {
+      //Find out which kind failed, and why, one at a time
+    }
+  }
+
+  const tracks = [];
+  const unavailable = [];
+  for (const kind of kinds) {
+    try {
+      tracks.push(await createTrackWithFallback(kind, trackOptions(kind)));
+    } catch (error) {
+      unavailable.push({ kind, reason: getCaptureErrorReason(error), error });
+    }
+  }
+  return { tracks, unavailable };
+};
+
+module.exports = {
+  MediaUnavailableReasons,
+  getCaptureErrorReason,
+  createTrackWithFallback,
+  createAvailableTracks,
+};
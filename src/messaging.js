@@ -0,0 +1,313 @@
+"use strict";
+
+const Video = require("twilio-video");
+const { invalidArgument, invalidState } = require("./errors");
+
+const MessageTypes = {
+  Chat: "chat",
+  Reaction: "reaction",
+  Custom: "custom",
+  //Reserved for moderation.js, not delivered as MessageReceived
+  Moderation: "moderation",
+};
+
+//Data channels reliably carry messages up to 16 KiB
+const defaultMaxMessageSize = 16 * 1024;
+//Room left in each chunk for the chunk envelope itself
+const chunkEnvelopeSize = 256;
+//Biggest message, chunked, in multiples of maxMessageSize
+const maxChunkedMessageFactor = 64;
+//Chunked messages a sender can have partially received at once
+const maxPendingPerSender = 8;
+//Milliseconds to wait for the rest of a chunked message, e.g. a chunk got lost
+const pendingTimeout = 30000;
+const protocolVersion = 1;
+
+const createMessageId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+/**
+ * Validate the payload of the built-in message types.
+ * @param {string} type - one of MessageTypes, or any custom type name
+ * @param {any} payload
+ */
+const validatePayload = (type, payload) => {
+  if (
+    type === MessageTypes.Chat &&
+    (!payload || typeof payload.text !== "string" || !payload.text.length)
+  )
+    throw invalidArgument("Chat messages need a non empty text");
+
+  if (
+    type === MessageTypes.Reaction &&
+    (!payload || typeof payload.emoji !== "string" || !payload.emoji.length)
+  )
+    throw invalidArgument("Reactions need an emoji");
+};
+
+const pieceFits = (serialized, offset, size, limit) =>
+  byteLength(JSON.stringify(serialized.substr(offset, size))) <= limit;
+
+/**
+ * Split a serialized message into chunks that each fit in one data channel message.
+ * @param {string} id - the message id
+ * @param {string} serialized - the serialized message
+ * @param {number} maxMessageSize - in bytes
+ * @returns {string[]} the serialized chunks
+ */
+const toChunks = (id, serialized, maxMessageSize) => {
+  const limit = maxMessageSize - chunkEnvelopeSize;
+  const pieces = [];
+  let offset = 0;
+  while (offset < serialized.length) {
+    let size = Math.min(serialized.length - offset, limit);
+    //Multi-byte characters and JSON escaping can make a piece bigger than its
+    //length, search for the longest one that still fits
+    if (!pieceFits(serialized, offset, size, limit)) {
+      let low = 1;
+      let high = size - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (pieceFits(serialized, offset, middle, limit)) low = middle;
+        else high = middle - 1;
+      }
+      size = low;
+    }
+    pieces.push(serialized.substr(offset, size));
+    offset += size;
+  }
+
+  return pieces.map((data, index) =>
+    JSON.stringify({
+      v: protocolVersion,
+      id,
+      chunk: { index, count: pieces.length },
+      data,
+    })
+  );
+};
+
+/**
+ * Send and receive JSON messages over a LocalDataTrack, chunking the ones
+ * bigger than the data channel message size limit.
+ * @param {function} onMessage - called with every complete message received
+ * @param {number} [maxMessageSize] - in bytes
+ * @returns {object} the messaging layer
+ */
+const createMessaging = (onMessage, maxMessageSize = defaultMaxMessageSize) => {
+  let localTrack;
+  let published = false;
+  //Bounds the chunk count a sender can announce, i.e. the memory it can make us hold
+  const maxChunkCount = Math.ceil(
+    (maxChunkedMessageFactor * maxMessageSize) /
+      (maxMessageSize - chunkEnvelopeSize)
+  );
+  //Remote data tracks already listened to
+  const attachedTracks = new WeakSet();
+  //Partially received chunked messages, maps of message id to entry by participant sid
+  const pending = new Map();
+
+  /**
+   * @returns {LocalDataTrack} the track to publish, created on first use
+   */
+  const getLocalTrack = () => {
+    if (!localTrack) localTrack = new Video.LocalDataTrack({ ordered: true });
+    return localTrack;
+  };
+
+  /**
+   * @param {boolean} isPublished - whether the local track is published, send needs it
+   */
+  const setPublished = (isPublished) => {
+    published = isPublished;
+  };
+
+  const dropPending = (senderSid, id) => {
+    const messages = pending.get(senderSid);
+    if (!messages || !messages.has(id)) return;
+    clearTimeout(messages.get(id).timer);
+    messages.delete(id);
+    if (!messages.size) pending.delete(senderSid);
+  };
+
+  const isValidChunk = ({ index, count }) =>
+    Number.isInteger(count) &&
+    count >= 1 &&
+    count <= maxChunkCount &&
+    Number.isInteger(index) &&
+    index >= 0 &&
+    index < count;
+
+  /**
+   * @param {object} message - the parsed message
+   * @param {object} context - { remote, localIdentity, localSid }
+   */
+  const deliver = (message, context) => {
+    //Messages addressed to others are broadcast too, drop them here
+    if (
+      message.to &&
+      !message.to.includes(context.localIdentity) &&
+      !message.to.includes(context.localSid)
+    )
+      return;
+
+    onMessage({
+      id: message.id,
+      type: message.type,
+      payload: message.payload,
+      timestamp: message.timestamp,
+      to: message.to,
+      from: context.remote.identity,
+      fromSid: context.remote.sid,
+      participant: context.remote,
+    });
+  };
+
+  const receive = (data, context) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      //Not one of ours, e.g. a raw string from another client
+      return;
+    }
+    if (!message || message.v !== protocolVersion) return;
+
+    if (!message.chunk) {
+      deliver(message, context);
+      return;
+    }
+
+    //Chunk sizes come from another participant, drop anything malformed
+    if (!isValidChunk(message.chunk)) return;
+
+    const senderSid = context.remote.sid;
+    if (!pending.has(senderSid)) pending.set(senderSid, new Map());
+    const messages = pending.get(senderSid);
+
+    if (!messages.has(message.id)) {
+      //Make room by dropping the oldest, maps keep insertion order
+      if (messages.size >= maxPendingPerSender)
+        dropPending(senderSid, messages.keys().next().value);
+      messages.set(message.id, {
+        parts: new Array(message.chunk.count),
+        received: 0,
+        timer: setTimeout(
+          () => dropPending(senderSid, message.id),
+          pendingTimeout
+        ),
+      });
+    }
+    const entry = messages.get(message.id);
+    if (entry.parts.length !== message.chunk.count) {
+      dropPending(senderSid, message.id);
+      return;
+    }
+    if (typeof entry.parts[message.chunk.index] === "undefined") {
+      entry.parts[message.chunk.index] = message.data;
+      entry.received += 1;
+    }
+
+    if (entry.received === message.chunk.count) {
+      dropPending(senderSid, message.id);
+      receive(entry.parts.join(""), context);
+    }
+  };
+
+  /**
+   * Start listening to a remote participant's data track.
+   * @param {RemoteDataTrack} track
+   * @param {RemoteParticipant} remote - the sender
+   * @param {LocalParticipant} local - used to filter messages addressed to others
+   */
+  const attachRemoteTrack = (track, remote, local) => {
+    if (attachedTracks.has(track)) return;
+    attachedTracks.add(track);
+
+    track.on("message", (data) =>
+      receive(data, {
+        remote,
+        localIdentity: local.identity,
+        localSid: local.sid,
+      })
+    );
+  };
+
+  /**
+   * Forget partially received messages from a participant who left.
+   * @param {Participant} participant
+   */
+  const forgetParticipant = (participant) => {
+    const messages = pending.get(participant.sid);
+    if (!messages) return;
+    Array.from(messages.keys()).forEach((id) =>
+      dropPending(participant.sid, id)
+    );
+  };
+
+  /**
+   * Send a message to everyone, or only to the given participants.
+   * Data tracks are broadcast, so "to" is a delivery filter, not privacy.
+   * @param {string} type - one of MessageTypes, or a custom type name
+   * @param {any} payload - any JSON serializable value
+   * @param {string[]} [to] - identities or sids of the recipients
+   * @returns {object} the message sent
+   */
+  const send = (type, payload, to) => {
+    if (!localTrack || !published)
+      throw invalidState(
+        "Can't send message - data track is not published yet"
+      );
+    if (to !== undefined && to !== null && ![].concat(to).length)
+      throw invalidArgument("Can't send message - no recipients given");
+    validatePayload(type, payload);
+
+    const message = {
+      id: createMessageId(),
+      type,
+      payload,
+      timestamp: Date.now(),
+      to: to !== undefined && to !== null ? [].concat(to) : null,
+    };
+    let serialized;
+    try {
+      serialized = JSON.stringify({ v: protocolVersion, ...message });
+    } catch (e) {
+      //Circular references and BigInt values
+      throw invalidArgument(
+        "Can't send message - payload is not JSON serializable"
+      );
+    }
+
+    if (byteLength(serialized) <= maxMessageSize) {
+      localTrack.send(serialized);
+    } else {
+      const chunks = toChunks(message.id, serialized, maxMessageSize);
+      if (chunks.length > maxChunkCount)
+        throw invalidArgument("Can't send message - it is too big");
+      chunks.forEach((chunk) => localTrack.send(chunk));
+    }
+    return message;
+  };
+
+  const reset = () => {
+    pending.forEach((messages) =>
+      messages.forEach((entry) => clearTimeout(entry.timer))
+    );
+    pending.clear();
+    published = false;
+  };
+
+  return {
+    getLocalTrack,
+    setPublished,
+    attachRemoteTrack,
+    forgetParticipant,
+    send,
+    reset,
+  };
+};
+
+module.exports = { MessageTypes, createMessaging };
@@ -10,11 +10,9 @@ function rootMeanSquare(samples) {
   return Math.sqrt(sumSq / samples.length);
 }
 
-let audioContext;
-const getAudioContext = () => {
+const createAudioContext = () => {
   const AudioContext = window.AudioContext || window.webkitAudioContext;
-  audioContext = audioContext || AudioContext ? new AudioContext() : null;
-  return audioContext;
+  return AudioContext ? new AudioContext() : null;
 };
 
 /**
@@ -22,17 +20,31 @@ const getAudioContext = () => {
  * @param stream - the MediaStream representing the microphone
  * @param maxLevel - the calculated level should be in the range [0 - maxLevel]
  * @param onLevel - called when the input level changes
+ * @returns {function} stops polling and closes the audio context, done by itself
+ * once the microphone track ends
  */
 function micLevel(stream, maxLevel, onLevel) {
-  var audioContext = getAudioContext();
+  const audioContext = createAudioContext();
+  let source = null;
+  let stopped = false;
 
-  if (typeof audioContext !== "undefined" && audioContext !== null)
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    if (source) source.disconnect();
+    //Browsers limit how many contexts a page may keep open
+    if (audioContext && audioContext.close)
+      audioContext.close().catch(() => {});
+  };
+
+  if (audioContext)
     audioContext.resume().then(() => {
+      if (stopped) return;
       const analyser = audioContext.createAnalyser();
       analyser.fftSize = 1024;
       analyser.smoothingTimeConstant = 0.5;
 
-      const source = audioContext.createMediaStreamSource(stream);
+      source = audioContext.createMediaStreamSource(stream);
       source.connect(analyser);
       const samples = new Uint8Array(analyser.frequencyBinCount);
 
@@ -40,6 +52,7 @@ function micLevel(stream, maxLevel, onLevel) {
       let level = null;
 
       requestAnimationFrame(function checkLevel() {
+        if (stopped) return;
         analyser.getByteFrequencyData(samples);
         const rms = rootMeanSquare(samples);
         const log2Rms = rms && Math.log2(rms);
@@ -51,10 +64,17 @@ function micLevel(stream, maxLevel, onLevel) {
         }
 
         requestAnimationFrame(
-          track.readyState === "ended" ? () => onLevel(0) : checkLevel
+          track.readyState === "ended"
+            ? () => {
+                onLevel(0);
+                stop();
+              }
+            : checkLevel
         );
       });
     });
+
+  return stop;
 }
 
 module.exports = micLevel;
@@ -0,0 +1,252 @@
+"use strict";
+
+const { invalidArgument, invalidState } = require("./errors");
+
+const ModerationEvents = {
+  HandRaised: "HandRaised",
+  HandLowered: "HandLowered",
+  ModerationRequestReceived: "ModerationRequestReceived",
+};
+
+/**
+ * What a host can ask a participant to do. Requests are advisory: the app of
+ * the participant receiving ModerationRequestReceived decides whether to comply.
+ */
+const ModerationRequests = {
+  Unmute: "unmute",
+  Mute: "mute",
+  TurnOnCamera: "turnOnCamera",
+  TurnOffCamera: "turnOffCamera",
+  LowerHand: "lowerHand",
+};
+
+//Wire actions, carried in the payload of "moderation" messages
+const Actions = {
+  RaiseHand: "raiseHand",
+  LowerHand: "lowerHand",
+  LowerAllHands: "lowerAllHands",
+  Request: "request",
+  HandState: "handState",
+  SyncRequest: "syncRequest",
+};
+
+/**
+ * Keep the raised hands of a room in sync over the data track and relay
+ * host requests.
+ * @param {function} send - (payload, to) sends a moderation message
+ * @param {function} getLocalParticipant - returns the current LocalParticipant or null
+ * @param {function} notify - (eventType, args) with eventType one of ModerationEvents
+ * @param {function} isHost - (identity) => boolean, who may lower others' hands and
+ * send requests; the same actions received from anyone else are ignored
+ * @returns {object} the moderation layer
+ */
+const createModeration = (send, getLocalParticipant, notify, isHost) => {
+  //Raised hands by participant sid, in the order they were received since
+  //clocks of senders can't be compared
+  const hands = new Map();
+
+  const isLocal = (participantSid) => {
+    const local = getLocalParticipant();
+    return Boolean(local) && local.sid === participantSid;
+  };
+
+  //Sync traffic is best effort, e.g. the data track may not be published yet
+  const trySend = (payload, to) => {
+    try {
+      send(payload, to);
+    } catch (e) {
+      return;
+    }
+  };
+
+  const setRaised = (participantSid, identity, raisedAt) => {
+    if (hands.has(participantSid)) return;
+
+    const hand = { participantSid, identity, raisedAt };
+    hands.set(participantSid, hand);
+    notify(ModerationEvents.HandRaised, {
+      ...hand,
+      isLocal: isLocal(participantSid),
+    });
+  };
+
+  const setLowered = (participantSid, loweredBy) => {
+    const hand = hands.get(participantSid);
+    if (!hand) return;
+
+    hands.delete(participantSid);
+    notify(ModerationEvents.HandLowered, {
+      participantSid,
+      identity: hand.identity,
+      isLocal: isLocal(participantSid),
+      loweredBy,
+    });
+  };
+
+  /**
+   * @returns {object[]} raised hands in the order they were received, raisedAt is
+   * the sender's clock
+   */
+  const getRaisedHands = () => Array.from(hands.values());
+
+  const assertHost = (action) => {
+    const local = getLocalParticipant();
+    if (!local || !isHost(local.identity))
+      throw invalidState(`Can't ${action} - only hosts can`);
+  };
+
+  const isHandRaised = (participantSid) => {
+    const local = getLocalParticipant();
+    return hands.has(participantSid || (local && local.sid));
+  };
+
+  const raiseHand = () => {
+    const local = getLocalParticipant();
+    if (hands.has(local.sid)) return;
+
+    const raisedAt = Date.now();
+    send({ action: Actions.RaiseHand, raisedAt });
+    setRaised(local.sid, local.identity, raisedAt);
+  };
+
+  /**
+   * Lower the local hand, or ask another participant to lower theirs.
+   * @param {string} [participantSid] - defaults to the local participant
+   */
+  const lowerHand = (participantSid) => {
+    const local = getLocalParticipant();
+    if (participantSid && participantSid !== local.sid) {
+      assertHost("lower another participant's hand");
+      send(
+        { action: Actions.Request, request: ModerationRequests.LowerHand },
+        participantSid
+      );
+      return;
+    }
+
+    if (!hands.has(local.sid)) return;
+    send({ action: Actions.LowerHand });
+    setLowered(local.sid, local.identity);
+  };
+
+  const lowerAllHands = () => {
+    assertHost("lower all hands");
+    const local = getLocalParticipant();
+    send({ action: Actions.LowerAllHands });
+    Array.from(hands.keys()).forEach((sid) => setLowered(sid, local.identity));
+  };
+
+  /**
+   * @param {string} to - sid or identity of the participant
+   * @param {string} request - one of ModerationRequests
+   * @param {any} [details] - app specific info, e.g. a reason to show
+   */
+  const sendRequest = (to, request, details) => {
+    if (!Object.values(ModerationRequests).includes(request))
+      throw invalidArgument(`Unknown moderation request ${request}`);
+    assertHost("send moderation request");
+
+    send({ action: Actions.Request, request, details }, to);
+  };
+
+  /**
+   * Send the local hand state to a participant, e.g. one who just joined.
+   * @param {Participant} participant
+   */
+  const syncTo = (participant) => {
+    const local = getLocalParticipant();
+    if (!local) return;
+
+    const hand = hands.get(local.sid);
+    trySend(
+      {
+        action: Actions.HandState,
+        raised: Boolean(hand),
+        raisedAt: hand ? hand.raisedAt : null,
+      },
+      participant.sid
+    );
+  };
+
+  /**
+   * Ask a participant for their hand state, once their data track is subscribed.
+   * @param {Participant} participant
+   */
+  const requestSync = (participant) => {
+    trySend({ action: Actions.SyncRequest }, participant.sid);
+  };
+
+  /**
+   * Apply a moderation message received over the data track.
+   * @param {object} message - as delivered by messaging.js
+   */
+  const receive = (message) => {
+    const { payload, fromSid, from } = message;
+    if (!payload) return;
+
+    switch (payload.action) {
+      case Actions.RaiseHand:
+        setRaised(fromSid, from, payload.raisedAt);
+        break;
+      case Actions.LowerHand:
+        setLowered(fromSid, from);
+        break;
+      case Actions.HandState:
+        if (payload.raised) setRaised(fromSid, from, payload.raisedAt);
+        else setLowered(fromSid, from);
+        break;
+      case Actions.LowerAllHands:
+        if (!isHost(from)) break;
+        Array.from(hands.keys()).forEach((sid) => setLowered(sid, from));
+        break;
+      case Actions.Request:
+        if (!isHost(from)) break;
+        //Lowering a hand is harmless, apply it right away
+        if (payload.request === ModerationRequests.LowerHand) {
+          const local = getLocalParticipant();
+          if (local && hands.has(local.sid)) {
+            trySend({ action: Actions.LowerHand });
+            setLowered(local.sid, from);
+          }
+        }
+        notify(ModerationEvents.ModerationRequestReceived, {
+          request: payload.request,
+          details: payload.details,
+          from,
+          fromSid,
+        });
+        break;
+      case Actions.SyncRequest:
+        syncTo({ sid: fromSid });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Drop the hand of a participant who left, reported with loweredBy null.
+   * @param {Participant} participant
+   */
+  const forgetParticipant = (participant) => {
+    setLowered(participant.sid, null);
+  };
+
+  const reset = () => hands.clear();
+
+  return {
+    getRaisedHands,
+    isHandRaised,
+    raiseHand,
+    lowerHand,
+    lowerAllHands,
+    sendRequest,
+    syncTo,
+    requestSync,
+    receive,
+    forgetParticipant,
+    reset,
+  };
+};
+
+module.exports = { ModerationEvents, ModerationRequests, createModeration };
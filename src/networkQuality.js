@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * Reduce twilio-video NetworkQualityStats to plain send/recv levels per kind.
+ * Only available when the networkQuality verbosity is 2 or more.
+ * @param {NetworkQualityStats} [stats]
+ * @returns {object|null} { audio: { send, recv }, video: { send, recv } }
+ */
+const normalizeStats = (stats) => {
+  if (!stats || (!stats.audio && !stats.video)) return null;
+
+  const levels = (kindStats) =>
+    kindStats ? { send: kindStats.send, recv: kindStats.recv } : null;
+
+  return {
+    audio: levels(stats.audio),
+    video: levels(stats.video),
+  };
+};
+
+/**
+ * Keep the latest network quality of every participant in a room.
+ * @param {function} onChange - called with { participant, participantSid, isLocal, level, stats }
+ * @returns {object} the monitor
+ */
+const createNetworkQualityMonitor = (onChange) => {
+  const qualities = new Map();
+
+  const update = (participant, isLocal, level, stats) => {
+    const quality = { level, stats: normalizeStats(stats) };
+    qualities.set(participant.sid, quality);
+    onChange({
+      participant,
+      participantSid: participant.sid,
+      isLocal,
+      ...quality,
+    });
+  };
+
+  /**
+   * Start following a participant's network quality level (0 - 5).
+   * @param {Participant} participant
+   * @param {boolean} isLocal - whether this is the local participant
+   */
+  const track = (participant, isLocal) => {
+    if (typeof participant.networkQualityLevel === "number") {
+      update(
+        participant,
+        isLocal,
+        participant.networkQualityLevel,
+        participant.networkQualityStats
+      );
+    }
+
+    participant.on("networkQualityLevelChanged", (level, stats) =>
+      update(participant, isLocal, level, stats)
+    );
+  };
+
+  /**
+   * @param {Participant} participant - the participant who left
+   */
+  const untrack = (participant) => {
+    qualities.delete(participant.sid);
+  };
+
+  /**
+   * @param {string} participantSid
+   * @returns {object|null} { level, stats } or null when not reported yet
+   */
+  const get = (participantSid) => qualities.get(participantSid) || null;
+
+  const clear = () => qualities.clear();
+
+  return { track, untrack, get, clear };
+};
+
+module.exports = { createNetworkQualityMonitor };
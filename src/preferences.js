@@ -0,0 +1,210 @@
+"use strict";
+
+const { invalidArgument } = require("./errors");
+
+/**
+ * Built-in storage for engineOptions.storage, a { getItem, setItem, removeItem }
+ * object whose methods may return promises can be passed instead.
+ */
+const StorageTypes = {
+  Local: "local",
+  Session: "session",
+  Memory: "memory",
+};
+
+const defaultPreferences = {
+  //Devices are { deviceId, label, groupId }, see deviceMatch.js
+  audioInputDevice: null,
+  audioOutputDevice: null,
+  videoInputDevice: null,
+  //{ width, height } to capture the camera at, null for the connect profile's
+  videoResolution: null,
+  //Join with the microphone or camera off, as engineOptions.muteMode turns them off
+  muteAudioOnJoin: false,
+  muteVideoOnJoin: false,
+};
+
+//Keys used before preferences were stored as one object, read once to migrate,
+//the first one set wins. selectDefaultMedia stored ${kind}DeviceId.
+const legacyKeys = {
+  audioInputDevice: ["audioInputDeviceId", "audioDeviceId"],
+  audioOutputDevice: ["audioOutputDeviceId"],
+  videoInputDevice: ["videoDeviceId"],
+};
+
+const deviceOf = (deviceId) => ({ deviceId, label: "", groupId: "" });
+
+const keyPrefix = "twilio-conference";
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+/**
+ * @param {string} name - "localStorage" or "sessionStorage"
+ * @returns {Storage|null} null when missing, e.g. SSR, or blocked, e.g. private
+ * browsing or sandboxed iframes
+ */
+const getWebStorage = (name) => {
+  try {
+    const storage = typeof window !== "undefined" && window[name];
+    if (!storage) return null;
+    storage.setItem(keyPrefix, keyPrefix);
+    storage.removeItem(keyPrefix);
+    return storage;
+  } catch (e) {
+    return null;
+  }
+};
+
+const isStorage = (value) =>
+  Boolean(value) &&
+  ["getItem", "setItem", "removeItem"].every(
+    (method) => typeof value[method] === "function"
+  );
+
+/**
+ * @param {string|object} [storage] - one of StorageTypes or a storage object,
+ * defaults to StorageTypes.Local
+ * @returns {object} the storage, in memory when the web storage asked for is unavailable
+ */
+const resolveStorage = (storage = StorageTypes.Local) => {
+  if (isStorage(storage)) return storage;
+
+  switch (storage) {
+    case StorageTypes.Local:
+      return getWebStorage("localStorage") || createMemoryStorage();
+    case StorageTypes.Session:
+      return getWebStorage("sessionStorage") || createMemoryStorage();
+    case StorageTypes.Memory:
+      return createMemoryStorage();
+    default:
+      throw invalidArgument(
+        `Unknown storage ${storage}, use one of StorageTypes or an object with getItem, setItem and removeItem`
+      );
+  }
+};
+
+/**
+ * Device and join preferences of an engine, kept as one object in storage.
+ * Reads are served from memory once loaded, so a failing storage only loses
+ * persistence.
+ * @param {string|object} [storage] - see resolveStorage
+ * @param {string} [namespace] - separates the preferences of users, tenants or engine
+ * instances sharing a storage, those without one share the same preferences
+ * @returns {object} the preferences
+ */
+const createPreferences = (storage, namespace) => {
+  storage = resolveStorage(storage);
+  const key = namespace
+    ? `${keyPrefix}:${namespace}:preferences`
+    : `${keyPrefix}:preferences`;
+
+  let preferences = { ...defaultPreferences };
+  let loading = null;
+  //Updates made before loading finished, they win over what was stored
+  let earlyChanges = {};
+
+  const readLegacy = async () => {
+    const legacy = {};
+    for (const name of Object.keys(legacyKeys)) {
+      for (const legacyKey of legacyKeys[name]) {
+        const value = await storage.getItem(legacyKey);
+        if (value && !legacy[name]) legacy[name] = deviceOf(value);
+      }
+    }
+    return legacy;
+  };
+
+  const read = async () => {
+    try {
+      const stored = await storage.getItem(key);
+      return stored ? JSON.parse(stored) : await readLegacy();
+    } catch (e) {
+      return {};
+    }
+  };
+
+  /**
+   * Read the stored preferences, once.
+   * @returns {Promise<object>} see defaultPreferences
+   */
+  const load = () => {
+    if (!loading)
+      loading = read().then((stored) => {
+        preferences = { ...defaultPreferences, ...stored, ...earlyChanges };
+        earlyChanges = null;
+        return preferences;
+      });
+    return loading;
+  };
+
+  /**
+   * @returns {object} the preferences as last loaded or updated, see defaultPreferences
+   */
+  const get = () => preferences;
+
+  const save = async () => {
+    try {
+      await storage.setItem(key, JSON.stringify(preferences));
+    } catch (e) {
+      //Kept in memory
+    }
+    return preferences;
+  };
+
+  /**
+   * @param {object} changes - some keys of defaultPreferences, null resets a key,
+   * a device may be given by its id only
+   * @returns {Promise<object>} the updated preferences, once stored
+   */
+  const update = (changes) => {
+    const unknown = Object.keys(changes).find(
+      (name) => !(name in defaultPreferences)
+    );
+    if (unknown) throw invalidArgument(`Unknown preference ${unknown}`);
+
+    Object.keys(changes).forEach((name) => {
+      let value = changes[name];
+      if (value === null || value === undefined)
+        value = defaultPreferences[name];
+      else if (name in legacyKeys && typeof value === "string")
+        value = deviceOf(value);
+      preferences = { ...preferences, [name]: value };
+      if (earlyChanges) earlyChanges[name] = value;
+    });
+    return load().then(save);
+  };
+
+  /**
+   * Back to defaultPreferences, removing them from storage.
+   * @returns {Promise<void>}
+   */
+  const clear = async () => {
+    preferences = { ...defaultPreferences };
+    loading = Promise.resolve(preferences);
+    earlyChanges = null;
+    try {
+      await storage.removeItem(key);
+      for (const name of Object.keys(legacyKeys))
+        for (const legacyKey of legacyKeys[name])
+          await storage.removeItem(legacyKey);
+    } catch (e) {
+      //Nothing more to do
+    }
+  };
+
+  return { load, get, update, clear };
+};
+
+module.exports = {
+  StorageTypes,
+  defaultPreferences,
+  createMemoryStorage,
+  createPreferences,
+};
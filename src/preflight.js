@@ -0,0 +1,297 @@
+"use strict";
+
+const Video = require("twilio-video");
+const { canScreenshare } = require("./browser");
+const micLevel = require("./miclevel");
+const {
+  MediaUnavailableReasons,
+  getCaptureErrorReason,
+} = require("./mediaAccess");
+
+const CheckStatus = { Pass: "pass", Warn: "warn", Fail: "fail" };
+
+const PreflightChecks = {
+  BrowserSupport: "browserSupport",
+  ScreenShare: "screenShare",
+  Microphone: "microphone",
+  MicrophoneSignal: "microphoneSignal",
+  Camera: "camera",
+  CameraFrames: "cameraFrames",
+  Connectivity: "connectivity",
+};
+
+const defaultPreflightOptions = {
+  micSampleDuration: 3000,
+  frameTimeout: 5000,
+  connectivityTimeout: 30000,
+};
+
+const severity = [CheckStatus.Pass, CheckStatus.Warn, CheckStatus.Fail];
+
+const result = (name, status, reason, details) => ({
+  name,
+  status,
+  reason,
+  details: details || null,
+});
+
+/**
+ * Turn a getUserMedia failure into a human-readable reason.
+ * @param {Error} error
+ * @param {string} device - "camera" or "microphone"
+ * @returns {string}
+ */
+const describeCaptureError = (error, device) => {
+  switch (getCaptureErrorReason(error)) {
+    case MediaUnavailableReasons.PermissionDenied:
+      return `Permission to use the ${device} was denied`;
+    case MediaUnavailableReasons.NotFound:
+      return `No ${device} was found`;
+    case MediaUnavailableReasons.InUse:
+      return `The ${device} is in use by another application`;
+    default:
+      return `Could not access the ${device} - ${error && error.message}`;
+  }
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {string} kind - "audio" or "video"
+ * @param {string|object} [deviceId] - a device id, or a deviceId constraint
+ * @returns {Promise<MediaStream>}
+ */
+const capture = (kind, deviceId) =>
+  navigator.mediaDevices.getUserMedia({
+    [kind]: deviceId
+      ? {
+          deviceId:
+            typeof deviceId === "string" ? { exact: deviceId } : deviceId,
+        }
+      : true,
+  });
+
+const stopStream = (stream) => {
+  if (stream) stream.getTracks().forEach((track) => track.stop());
+};
+
+const checkBrowser = () => [
+  Video.isSupported
+    ? result(PreflightChecks.BrowserSupport, CheckStatus.Pass)
+    : result(
+        PreflightChecks.BrowserSupport,
+        CheckStatus.Fail,
+        "This browser is not supported by Twilio Video"
+      ),
+  canScreenshare()
+    ? result(PreflightChecks.ScreenShare, CheckStatus.Pass)
+    : result(
+        PreflightChecks.ScreenShare,
+        CheckStatus.Warn,
+        "Screen sharing is not supported on this browser"
+      ),
+];
+
+/**
+ * Listen to the microphone for a while and report the loudest level heard.
+ * @param {MediaStream} stream
+ * @param {number} duration - milliseconds to listen for
+ * @returns {Promise<object>}
+ */
+const checkMicrophoneSignal = async (stream, duration) => {
+  let maxLevel = null;
+  const stopLevel = micLevel(stream, 10, (level) => {
+    maxLevel = Math.max(maxLevel || 0, level || 0);
+  });
+  await delay(duration);
+  stopLevel();
+
+  if (maxLevel === null)
+    return result(
+      PreflightChecks.MicrophoneSignal,
+      CheckStatus.Warn,
+      "The microphone level could not be measured on this browser"
+    );
+
+  return maxLevel > 0
+    ? result(PreflightChecks.MicrophoneSignal, CheckStatus.Pass, null, {
+        maxLevel,
+      })
+    : result(
+        PreflightChecks.MicrophoneSignal,
+        CheckStatus.Warn,
+        "No sound was detected from the microphone, check that it is not muted",
+        { maxLevel }
+      );
+};
+
+/**
+ * Play the camera stream in a detached video element and wait for a frame.
+ * @param {MediaStream} stream
+ * @param {number} timeout - milliseconds to wait for the first frame
+ * @returns {Promise<object>}
+ */
+const checkCameraFrames = (stream, timeout) => {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+
+  return new Promise((resolve) => {
+    let poll;
+    let finished = false;
+    const done = (check) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      clearInterval(poll);
+      video.srcObject = null;
+      resolve(check);
+    };
+
+    const timer = setTimeout(
+      () =>
+        done(
+          result(
+            PreflightChecks.CameraFrames,
+            CheckStatus.Fail,
+            "No video frames were received from the camera"
+          )
+        ),
+      timeout
+    );
+
+    const onFrame = () =>
+      done(
+        result(PreflightChecks.CameraFrames, CheckStatus.Pass, null, {
+          width: video.videoWidth,
+          height: video.videoHeight,
+        })
+      );
+
+    //requestVideoFrameCallback may never fire for a video that isn't in the
+    //page, so also poll for decoded frames
+    if (video.requestVideoFrameCallback)
+      video.requestVideoFrameCallback(onFrame);
+    poll = setInterval(() => {
+      if (video.readyState >= 2 && video.videoWidth > 0) onFrame();
+    }, 100);
+
+    video.play().catch(() => {});
+  });
+};
+
+/**
+ * Connect to Twilio with the given token to test signaling and media.
+ * @param {string} token
+ * @param {number} timeout - milliseconds before giving up, e.g. when traffic is dropped
+ * @returns {Promise<object>}
+ */
+const checkConnectivity = (token, timeout) =>
+  new Promise((resolve) => {
+    let preflightTest;
+    let timer;
+    const done = (check) => {
+      clearTimeout(timer);
+      resolve(check);
+    };
+    const fail = (error, report) =>
+      done(
+        result(
+          PreflightChecks.Connectivity,
+          CheckStatus.Fail,
+          `Could not connect to Twilio - ${error.message}`,
+          report
+        )
+      );
+
+    try {
+      preflightTest = Video.runPreflight(token);
+    } catch (e) {
+      fail(e);
+      return;
+    }
+
+    timer = setTimeout(() => {
+      preflightTest.stop();
+      fail(new Error(`no response within ${timeout} ms`));
+    }, timeout);
+
+    preflightTest.on("completed", (report) =>
+      done(result(PreflightChecks.Connectivity, CheckStatus.Pass, null, report))
+    );
+    preflightTest.on("failed", fail);
+  });
+
+/**
+ * Check the device, network and browser are ready for a call.
+ * @param {object} [options]
+ * @param {string} [options.token] - access token, runs the connectivity test when given
+ * @param {string|object} [options.audioDeviceId] - microphone to test, or a deviceId
+ * constraint such as { ideal }, system default if omitted
+ * @param {string|object} [options.videoDeviceId] - camera to test, or a deviceId
+ * constraint such as { ideal }, system default if omitted
+ * @param {number} [options.micSampleDuration] - milliseconds to listen to the microphone
+ * @param {number} [options.frameTimeout] - milliseconds to wait for a camera frame
+ * @param {number} [options.connectivityTimeout] - milliseconds to wait for the
+ * connectivity test to finish
+ * @returns {Promise<object>} { status, checks: [{ name, status, reason, details }] }
+ */
+const runPreflightCheck = async (options) => {
+  options = { ...defaultPreflightOptions, ...options };
+  const checks = checkBrowser();
+
+  let audioStream;
+  try {
+    audioStream = await capture("audio", options.audioDeviceId);
+    checks.push(result(PreflightChecks.Microphone, CheckStatus.Pass));
+    checks.push(
+      await checkMicrophoneSignal(audioStream, options.micSampleDuration)
+    );
+  } catch (e) {
+    checks.push(
+      result(
+        PreflightChecks.Microphone,
+        CheckStatus.Fail,
+        describeCaptureError(e, "microphone")
+      )
+    );
+  } finally {
+    stopStream(audioStream);
+  }
+
+  let videoStream;
+  try {
+    videoStream = await capture("video", options.videoDeviceId);
+    checks.push(result(PreflightChecks.Camera, CheckStatus.Pass));
+    checks.push(await checkCameraFrames(videoStream, options.frameTimeout));
+  } catch (e) {
+    checks.push(
+      result(
+        PreflightChecks.Camera,
+        CheckStatus.Fail,
+        describeCaptureError(e, "camera")
+      )
+    );
+  } finally {
+    stopStream(videoStream);
+  }
+
+  if (options.token) {
+    checks.push(
+      await checkConnectivity(options.token, options.connectivityTimeout)
+    );
+  }
+
+  const status = checks.reduce(
+    (worst, check) =>
+      severity.indexOf(check.status) > severity.indexOf(worst)
+        ? check.status
+        : worst,
+    CheckStatus.Pass
+  );
+
+  return { status, checks };
+};
+
+module.exports = { CheckStatus, PreflightChecks, runPreflightCheck };
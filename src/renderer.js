@@ -0,0 +1,220 @@
+"use strict";
+
+const { invalidArgument } = require("./errors");
+
+const defaultIsScreenTrack = (track) =>
+  Boolean(track.name) && track.name.indexOf("screen") === 0;
+
+/**
+ * Render participants of an engine's room as tiles inside a container.
+ * Each tile holds the participant's camera video, a placeholder shown while
+ * video is off, and their audio. Screen shares go to a separate slot.
+ * Tiles the layout doesn't show are hidden, the main ones get a "main" class.
+ * @param {object} engine - { on, getRoom, getLayout, isScreenTrack } provided by the engine
+ * @param {HTMLElement} container - where the tiles and screen share slot are added
+ * @param {object} [options]
+ * @param {string} [options.classPrefix] - prefix of the CSS classes, defaults to "conference"
+ * @param {boolean} [options.renderAudio] - attach remote audio tracks, defaults to true
+ * @returns {object} { destroy }
+ */
+const createRenderer = (engine, container, options = {}) => {
+  if (!container) throw invalidArgument("Renderer needs a container element");
+
+  const prefix = options.classPrefix || "conference";
+  const renderAudio = options.renderAudio !== false;
+  const isScreenTrack = engine.isScreenTrack || defaultIsScreenTrack;
+
+  //Tiles by participant sid
+  const tiles = new Map();
+  //Attached elements by track
+  const attached = new Map();
+  let dominantSpeakerSid = null;
+
+  const createElement = (className, tagName = "div") => {
+    const element = document.createElement(tagName);
+    element.className = `${prefix}-${className}`;
+    return element;
+  };
+
+  const grid = createElement("grid");
+  const screenSlot = createElement("screen-share");
+  screenSlot.style.display = "none";
+  container.appendChild(screenSlot);
+  container.appendChild(grid);
+
+  const isLocal = (participant) => {
+    const room = engine.getRoom();
+    return Boolean(room) && room.localParticipant === participant;
+  };
+
+  const updateVideoState = (tile) => {
+    const hasVideo = Array.from(tile.tracks).some(
+      (track) =>
+        track.kind === "video" && !isScreenTrack(track) && track.isEnabled
+    );
+    tile.element.classList.toggle(`${prefix}-video-off`, !hasVideo);
+    tile.placeholder.style.display = hasVideo ? "none" : "";
+  };
+
+  const ensureTile = (participant) => {
+    if (tiles.has(participant.sid)) return tiles.get(participant.sid);
+
+    const element = createElement("tile");
+    element.setAttribute("data-participant-sid", participant.sid);
+    element.setAttribute("data-identity", participant.identity);
+    if (isLocal(participant)) element.classList.add(`${prefix}-local`);
+
+    const videoSlot = createElement("video");
+    const placeholder = createElement("placeholder");
+    placeholder.textContent = participant.identity;
+    const label = createElement("identity");
+    label.textContent = participant.identity;
+
+    element.appendChild(videoSlot);
+    element.appendChild(placeholder);
+    element.appendChild(label);
+    grid.appendChild(element);
+
+    const tile = { element, videoSlot, placeholder, tracks: new Set() };
+    tiles.set(participant.sid, tile);
+    updateVideoState(tile);
+    applyLayout(tile, participant.sid);
+    return tile;
+  };
+
+  const applyLayout = (tile, participantSid, layout = engine.getLayout()) => {
+    if (!layout) return;
+    tile.element.style.display = layout.visible.includes(participantSid)
+      ? ""
+      : "none";
+    tile.element.classList.toggle(
+      `${prefix}-main`,
+      layout.main.includes(participantSid)
+    );
+  };
+
+  const attachTrack = ({ track, participant }) => {
+    //Placeholders of unsubscribed publications can't be attached
+    if (!track || typeof track.attach !== "function" || !participant) return;
+    if (attached.has(track)) return;
+    if (track.kind === "audio" && (!renderAudio || isLocal(participant)))
+      return;
+
+    const tile = ensureTile(participant);
+    const element = track.attach();
+    attached.set(track, { element, participantSid: participant.sid });
+    tile.tracks.add(track);
+
+    if (track.kind === "video" && isScreenTrack(track)) {
+      screenSlot.appendChild(element);
+      screenSlot.style.display = "";
+      tile.element.classList.add(`${prefix}-presenting`);
+    } else if (track.kind === "video") {
+      tile.videoSlot.appendChild(element);
+    } else {
+      element.style.display = "none";
+      tile.element.appendChild(element);
+    }
+    updateVideoState(tile);
+  };
+
+  const detachTrack = ({ track }) => {
+    if (!track || !attached.has(track)) return;
+
+    const { element, participantSid } = attached.get(track);
+    track.detach(element);
+    element.remove();
+    attached.delete(track);
+
+    const tile = tiles.get(participantSid);
+    if (tile) {
+      tile.tracks.delete(track);
+      if (track.kind === "video" && isScreenTrack(track)) {
+        tile.element.classList.remove(`${prefix}-presenting`);
+      }
+      updateVideoState(tile);
+    }
+    if (!screenSlot.children.length) screenSlot.style.display = "none";
+  };
+
+  const removeTile = (participant) => {
+    const tile = tiles.get(participant.sid);
+    if (!tile) return;
+
+    Array.from(tile.tracks).forEach((track) => detachTrack({ track }));
+    tile.element.remove();
+    tiles.delete(participant.sid);
+  };
+
+  const setVideoPaused = (participantSid, track, paused) => {
+    const tile = tiles.get(participantSid);
+    if (tile && track.kind === "video" && !isScreenTrack(track))
+      tile.element.classList.toggle(`${prefix}-video-paused`, paused);
+  };
+
+  const setDominantSpeaker = (participant) => {
+    const previous = tiles.get(dominantSpeakerSid);
+    if (previous)
+      previous.element.classList.remove(`${prefix}-dominant-speaker`);
+
+    dominantSpeakerSid = participant ? participant.sid : null;
+    const current = tiles.get(dominantSpeakerSid);
+    if (current) current.element.classList.add(`${prefix}-dominant-speaker`);
+  };
+
+  const clear = () => {
+    Array.from(tiles.keys()).forEach((sid) => removeTile({ sid }));
+    dominantSpeakerSid = null;
+  };
+
+  const subscriptions = [
+    engine.on("ParticipantConnected", ensureTile),
+    engine.on("ParticipantDisconnected", removeTile),
+    engine.on("ParticipantSubscribedTrack", attachTrack),
+    engine.on("ParticipantUnsubscribedTrack", detachTrack),
+    engine.on("ParticipantMuteChanged", ({ participantSid }) => {
+      const tile = tiles.get(participantSid);
+      if (tile) updateVideoState(tile);
+    }),
+    engine.on("DominantSpeakerChanged", setDominantSpeaker),
+    //Video paused for bandwidth, the last frame stays on screen
+    engine.on("TrackSwitchedOff", ({ participantSid, track }) =>
+      setVideoPaused(participantSid, track, true)
+    ),
+    engine.on("TrackSwitchedOn", ({ participantSid, track }) =>
+      setVideoPaused(participantSid, track, false)
+    ),
+    engine.on("LayoutChanged", (layout) =>
+      tiles.forEach((tile, sid) => applyLayout(tile, sid, layout))
+    ),
+    engine.on("RoomDisconnected", clear),
+  ];
+
+  //Render a room that is already connected
+  const room = engine.getRoom();
+  if (room) {
+    [room.localParticipant, ...room.participants.values()].forEach(
+      (participant) => {
+        ensureTile(participant);
+        participant.tracks.forEach((publication) =>
+          attachTrack({ track: publication.track, participant })
+        );
+      }
+    );
+    setDominantSpeaker(room.dominantSpeaker);
+  }
+
+  /**
+   * Stop rendering and remove everything the renderer added to the container
+   */
+  const destroy = () => {
+    subscriptions.forEach((unsubscribe) => unsubscribe());
+    clear();
+    screenSlot.remove();
+    grid.remove();
+  };
+
+  return { destroy };
+};
+
+module.exports = { createRenderer };
@@ -2,9 +2,234 @@
 
 const { canScreenshare, supportsGetDisplayMedia } = require("./browser");
 const Video = require("twilio-video");
+const {
+  ErrorCodes,
+  NotSupportedError,
+  ScreenShareError,
+  invalidArgument,
+} = require("./errors");
 
 const notSupported = () => {
-  return Promise.reject(new Error("Screen sharing is not supported"));
+  return Promise.reject(
+    new NotSupportedError(
+      ErrorCodes.UnsupportedBrowser,
+      "Screen sharing is not supported"
+    )
+  );
+};
+
+/**
+ * Browsers report the user closing the screen picker as a permission failure,
+ * so a NotAllowedError counts as cancelled. Only Chrome tells the operating system
+ * blocking the capture apart, by its message; elsewhere that is reported as
+ * cancelled too.
+ * @param {Error} error - a getDisplayMedia failure
+ * @returns {ScreenShareError}
+ */
+const toScreenShareError = (error) => {
+  const name = error && error.name;
+  const message = (error && error.message) || "";
+
+  if (name === "NotAllowedError" && /by system/i.test(message))
+    return new ScreenShareError(
+      ErrorCodes.ScreenSharePermissionDenied,
+      "Screen sharing is blocked by the operating system",
+      error
+    );
+
+  const cancelled = [
+    "NotAllowedError",
+    "PermissionDeniedError",
+    "AbortError",
+  ].includes(name);
+
+  return new ScreenShareError(
+    cancelled ? ErrorCodes.ScreenShareCancelled : ErrorCodes.ScreenShareFailed,
+    cancelled
+      ? "Screen sharing was cancelled"
+      : `Could not capture the screen - ${message}`,
+    error
+  );
+};
+
+/**
+ * Names screen tracks are published with, so receivers can tell them from
+ * camera and microphone tracks
+ */
+const ScreenTrackNames = {
+  Video: "screen",
+  Audio: "screen-audio",
+};
+
+/**
+ * What a media track carries, see getTrackSource
+ */
+const TrackSources = {
+  Camera: "camera",
+  Microphone: "microphone",
+  Screen: "screen",
+  ScreenAudio: "screenAudio",
+};
+
+/**
+ * @param {object} track - a local or remote media track, or { kind, name }
+ * @returns {string|null} one of TrackSources, null for data tracks
+ */
+const getTrackSource = (track) => {
+  //Any name starting with "screen" counts, e.g. "screen-2" from other apps
+  const isScreen =
+    Boolean(track.name) && track.name.indexOf(ScreenTrackNames.Video) === 0;
+  switch (track.kind) {
+    case "audio":
+      return isScreen ? TrackSources.ScreenAudio : TrackSources.Microphone;
+    case "video":
+      return isScreen ? TrackSources.Screen : TrackSources.Camera;
+    default:
+      return null;
+  }
+};
+
+/**
+ * What is being shared, trading frame rate for sharpness
+ */
+const ScreenShareModes = {
+  //Slides and documents, sharp text at a low frame rate
+  Text: "text",
+  //Designs and images, sharp with some movement
+  Detail: "detail",
+  //Video playback, smooth at the cost of sharpness
+  Motion: "motion",
+};
+
+/**
+ * contentHint of the captured track, frame rate cap and publish priority of
+ * each ScreenShareModes
+ */
+const screenShareModeSettings = {
+  [ScreenShareModes.Text]: {
+    contentHint: "text",
+    maxFrameRate: 5,
+    priority: "high",
+  },
+  [ScreenShareModes.Detail]: {
+    contentHint: "detail",
+    maxFrameRate: 15,
+    priority: "high",
+  },
+  //Smoothness matters more than keeping the full resolution
+  [ScreenShareModes.Motion]: {
+    contentHint: "motion",
+    maxFrameRate: 30,
+    priority: "standard",
+  },
+};
+
+/**
+ * @param {string} mode - one of ScreenShareModes
+ * @returns {object} { contentHint, maxFrameRate, priority }
+ */
+const getScreenShareModeSettings = (mode) => {
+  const settings = screenShareModeSettings[mode];
+  if (!settings) throw invalidArgument(`Unknown screen share mode ${mode}`);
+  return settings;
+};
+
+/**
+ * Set the content hint and frame rate cap of a screen track, while capturing.
+ * @param {LocalVideoTrack} track - a track from createScreenTracks
+ * @param {string} mode - one of ScreenShareModes
+ * @returns {Promise<object>} the mode settings, see getScreenShareModeSettings
+ */
+const applyScreenShareMode = async (track, mode) => {
+  const settings = getScreenShareModeSettings(mode);
+  const mediaStreamTrack = track.mediaStreamTrack;
+
+  //Lets the encoder keep resolution (text, detail) or frame rate (motion)
+  if ("contentHint" in mediaStreamTrack)
+    mediaStreamTrack.contentHint = settings.contentHint;
+  try {
+    //Constraints are replaced as a whole, keep the size limits of the capture
+    await mediaStreamTrack.applyConstraints({
+      ...(mediaStreamTrack.getConstraints
+        ? mediaStreamTrack.getConstraints()
+        : {}),
+      frameRate: { max: settings.maxFrameRate },
+    });
+  } catch (e) {
+    //The browser keeps its own frame rate, the hint still applies
+  }
+  return settings;
+};
+
+/**
+ * Hints for the screen picker, browsers without support ignore them
+ */
+const DisplaySurfaces = {
+  Monitor: "monitor",
+  Window: "window",
+  Browser: "browser",
+};
+
+const CursorModes = {
+  Always: "always",
+  Motion: "motion",
+  Never: "never",
+};
+
+const captureDisplay = ({ height, width, audio, displaySurface, cursor }) => {
+  if (supportsGetDisplayMedia()) {
+    const video = { height, width };
+    if (displaySurface) video.displaySurface = displaySurface;
+    if (cursor) video.cursor = cursor;
+    return navigator.mediaDevices.getDisplayMedia({
+      video,
+      audio: Boolean(audio),
+    });
+  }
+
+  //Firefox v52 - v65, without audio
+  return navigator.mediaDevices.getUserMedia({
+    video: { mediaSource: "screen", height, width },
+  });
+};
+
+/**
+ * Create the local tracks for your screen. You can then share them
+ * with other Participants in the Room.
+ * @param {object} [options]
+ * @param {number} [options.height] - Desired vertical resolution in pixels
+ * @param {number} [options.width] - Desired horizontal resolution in pixels
+ * @param {boolean} [options.audio] - also capture tab or system audio, where the browser can
+ * @param {string} [options.displaySurface] - one of DisplaySurfaces to offer first
+ * @param {string} [options.cursor] - one of CursorModes
+ * @param {string} [options.mode] - one of ScreenShareModes, see applyScreenShareMode
+ * @returns {Promise<object>} { video: LocalVideoTrack, audio: LocalAudioTrack },
+ * audio null when not asked for or not shared by the user
+ */
+const createScreenTracks = (options = {}) => {
+  if (!canScreenshare()) return notSupported();
+  if (options.mode && !screenShareModeSettings[options.mode])
+    return Promise.reject(
+      invalidArgument(`Unknown screen share mode ${options.mode}`)
+    );
+
+  return captureDisplay(options)
+    .then(async (stream) => {
+      const [audioTrack] = stream.getAudioTracks();
+      const tracks = {
+        video: new Video.LocalVideoTrack(stream.getVideoTracks()[0], {
+          name: ScreenTrackNames.Video,
+        }),
+        audio: audioTrack
+          ? new Video.LocalAudioTrack(audioTrack, {
+              name: ScreenTrackNames.Audio,
+            })
+          : null,
+      };
+      if (options.mode) await applyScreenShareMode(tracks.video, options.mode);
+      return tracks;
+    })
+    .catch((error) => Promise.reject(toScreenShareError(error)));
 };
 
 /**
@@ -14,32 +239,18 @@ const notSupported = () => {
  * @param {number} width - Desired horizontal resolution in pixels
  * @returns {Promise<LocalVideoTrack>}
  */
-const createScreenTrack = (height, width) => {
-  if (!canScreenshare()) return notSupported();
+const createScreenTrack = (height, width) =>
+  createScreenTracks({ height, width }).then(({ video }) => video);
 
-  if (supportsGetDisplayMedia()) {
-    return navigator.mediaDevices
-      .getDisplayMedia({
-        video: {
-          height: height,
-          width: width,
-        },
-      })
-      .then((stream) => new Video.LocalVideoTrack(stream.getVideoTracks()[0]))
-      .catch(() => notSupported());
-  } else {
-    //Firefox v52 - v65
-    return navigator.mediaDevices
-      .getUserMedia({
-        video: {
-          mediaSource: "screen",
-          height: height,
-          width: width,
-        },
-      })
-      .then((stream) => new Video.LocalVideoTrack(stream.getVideoTracks()[0]))
-      .catch(() => notSupported());
-  }
+module.exports = {
+  ScreenTrackNames,
+  TrackSources,
+  getTrackSource,
+  ScreenShareModes,
+  getScreenShareModeSettings,
+  applyScreenShareMode,
+  DisplaySurfaces,
+  CursorModes,
+  createScreenTracks,
+  createScreenTrack,
 };
-
-module.exports = { createScreenTrack };
@@ -1,22 +1,59 @@
 "use strict";
 
 const { createLocalTracks } = require("twilio-video");
+const {
+  ErrorCodes,
+  MediaAccessError,
+  fromCaptureError,
+  toEngineError,
+} = require("./errors");
 
-const localTracks = {
-  audio: null,
-  video: null,
-};
+/**
+ * Create a holder for the preview tracks of one engine instance.
+ * @returns {{audio: LocalAudioTrack, video: LocalVideoTrack}}
+ */
+function createPreviewTracks() {
+  return {
+    audio: null,
+    video: null,
+  };
+}
+
+//Shared holder used when the caller does not supply its own
+const defaultLocalTracks = createPreviewTracks();
+
+/**
+ * Stop and release the preview tracks in the given holder.
+ * @param localTracks - the holder returned by createPreviewTracks
+ */
+function stopPreviewTracks(localTracks = defaultLocalTracks) {
+  Object.keys(localTracks).forEach((kind) => {
+    if (localTracks[kind]) {
+      localTracks[kind].stop();
+      localTracks[kind] = null;
+    }
+  });
+}
 
 /**
  * Start capturing media from the given input device.
  * @param kind - 'audio' or 'video'
  * @param deviceId - the input device ID
  * @param render - the render callback
+ * @param localTracks - the preview track holder to use, see createPreviewTracks
  * @returns {Promise<void>} Promise that is resolved if successful
  */
-async function applyInputDevice(kind, deviceId, render) {
+async function applyInputDevice(
+  kind,
+  deviceId,
+  render,
+  localTracks = defaultLocalTracks
+) {
   // Create a new LocalTrack from the given Device ID.
-  const [track] = await createLocalTracks({ [kind]: { deviceId } });
+  const [track] = await createLocalTracks({ [kind]: { deviceId } }).catch(
+    (error) =>
+      Promise.reject(fromCaptureError(error, `Can't use ${kind} input`))
+  );
 
   // Stop the previous LocalTrack, if present.
   if (localTracks[kind]) {
@@ -30,11 +67,22 @@ async function applyInputDevice(kind, deviceId, render) {
 
 //safari requires getUserMedia to be called before devices are enumerated with deviceId and label
 //otherwise it only returns the default
+//Each kind is also tried on its own, so a machine without a camera still lists its microphones
 async function ensureGetMediaCalled() {
-  return await navigator.mediaDevices.getUserMedia({
-    audio: true,
-    video: true,
-  });
+  const attempts = [
+    { audio: true, video: true },
+    { audio: true },
+    { video: true },
+  ];
+  for (const constraints of attempts) {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    } catch (e) {
+      //Try the next kinds, devices are enumerated without labels at worst
+    }
+  }
 }
 
 /**
@@ -48,7 +96,9 @@ async function getInputDevices(kind) {
       const devices = await navigator.mediaDevices.enumerateDevices();
       return devices.filter((device) => device.kind === `${kind}input`);
     })
-    .catch(() => null);
+    .catch((error) =>
+      Promise.reject(toEngineError(error, "Could not list media devices"))
+    );
 }
 
 /**
@@ -62,38 +112,59 @@ async function getOutputDevices(kind) {
       const devices = await navigator.mediaDevices.enumerateDevices();
       return devices.filter((device) => device.kind === `${kind}output`);
     })
-    .catch(() => null);
+    .catch((error) =>
+      Promise.reject(toEngineError(error, "Could not list media devices"))
+    );
 }
 
 /**
- *
+ * Handlers add up, e.g. one per engine instance, until removed.
  * @param {function} callback the function to invoke with the list of new array of media devices
+ * @returns {Promise<function>} removes the handler
  */
 async function registerOnMediaDevicesListChangeHandler(callback) {
-  ensureGetMediaCalled()
-    .then(async () => {
-      navigator.mediaDevices.ondevicechange = () => {
-        navigator.mediaDevices
-          .enumerateDevices()
-          .then((devices) => callback(devices))
-          .catch(() => callback(null));
-      };
-    })
-    .catch(() => callback(null));
+  const onDeviceChange = () => {
+    navigator.mediaDevices
+      .enumerateDevices()
+      .then((devices) => callback(devices))
+      .catch(() => callback(null));
+  };
+  const unregister = () => {
+    if (navigator.mediaDevices)
+      navigator.mediaDevices.removeEventListener(
+        "devicechange",
+        onDeviceChange
+      );
+  };
+
+  try {
+    await ensureGetMediaCalled();
+    navigator.mediaDevices.addEventListener("devicechange", onDeviceChange);
+  } catch (e) {
+    callback(null);
+  }
+  return unregister;
 }
 
 /**
  * Select the default input for the given media kind.
  * @param kind - 'audio' or 'video'
  * @param render - the media render function
+ * @param localTracks - the preview track holder to use, see createPreviewTracks
  * @returns {Promise<string>} the device ID of the selected media input
  */
-async function selectDefaultMedia(kind, render) {
+async function selectDefaultMedia(kind, render, localTracks) {
   // Get the list of available media input devices.
   let devices = await getInputDevices(kind);
+  if (!devices.length) {
+    throw new MediaAccessError(
+      ErrorCodes.DeviceNotFound,
+      `No ${kind} input device found`
+    );
+  }
 
   // Apply the default media input device.
-  await applyInputDevice(kind, devices[0].deviceId, render);
+  await applyInputDevice(kind, devices[0].deviceId, render, localTracks);
 
   // If all device IDs and/or labels are empty, that means they were
   // enumerated before the user granted media permissions. So, enumerate
@@ -102,10 +173,7 @@ async function selectDefaultMedia(kind, render) {
     devices = await getInputDevices(kind);
   }
 
-  return new Promise((resolve) => {
-    localStorage.setItem(`${kind}DeviceId`, devices[0].deviceId);
-    resolve(devices[0].deviceId);
-  });
+  return devices[0].deviceId;
 }
 
 module.exports = {
@@ -114,4 +182,6 @@ module.exports = {
   registerOnMediaDevicesListChangeHandler,
   selectDefaultMedia,
   applyInputDevice,
+  createPreviewTracks,
+  stopPreviewTracks,
 };
@@ -0,0 +1,149 @@
+"use strict";
+
+const { invalidArgument, invalidState, notConnected } = require("./errors");
+
+const TrackPriorities = ["low", "standard", "high"];
+
+const isDimensions = (value) =>
+  Boolean(value) &&
+  Number.isInteger(value.width) &&
+  Number.isInteger(value.height) &&
+  value.width > 0 &&
+  value.height > 0;
+
+/**
+ * Control what we receive from remote participants: track priorities, and
+ * switch-off and render dimensions that take precedence over the layout.
+ * @param {function} getRoom - returns the current Room or null
+ * @param {function} getVideoProfile - returns the bandwidthProfile.video connect options
+ * @param {function} onOverrideChange - called after a switch-off or dimensions override changes
+ * @returns {object} the track control
+ */
+const createTrackControl = (getRoom, getVideoProfile, onOverrideChange) => {
+  //Switch-off and dimensions set by the app, by track sid
+  const overrides = new Map();
+  //Priorities set by the app, by track sid, restored when a pin no longer overrides them
+  const priorities = new Map();
+
+  /**
+   * @param {string} trackSid
+   * @returns {object} { track, participant } of a subscribed remote track
+   */
+  const findRemoteTrack = (trackSid) => {
+    const room = getRoom();
+    if (!room) throw notConnected("control remote tracks");
+
+    for (const participant of room.participants.values()) {
+      const publication = participant.tracks.get(trackSid);
+      if (publication && publication.track)
+        return { track: publication.track, participant };
+    }
+    throw invalidArgument(`Remote track ${trackSid} is not subscribed`);
+  };
+
+  const findRemoteVideoTrack = (trackSid) => {
+    const found = findRemoteTrack(trackSid);
+    if (found.track.kind !== "video")
+      throw invalidArgument(`Remote track ${trackSid} is not a video track`);
+    return found;
+  };
+
+  const assertManual = (option) => {
+    if ((getVideoProfile() || {})[option] !== "manual")
+      throw invalidState(
+        `Connect with bandwidthProfile.video.${option} set to "manual" to control remote video`
+      );
+  };
+
+  const setOverride = (trackSid, changes) => {
+    overrides.set(trackSid, { ...overrides.get(trackSid), ...changes });
+    onOverrideChange();
+  };
+
+  /**
+   * @param {string} trackSid
+   * @param {string|null} priority - "low", "standard", "high", or null for the publisher's priority
+   */
+  const setPriority = (trackSid, priority) => {
+    if (priority !== null && !TrackPriorities.includes(priority))
+      throw invalidArgument(`Unknown track priority ${priority}`);
+    findRemoteTrack(trackSid).track.setPriority(priority);
+    if (priority === null) priorities.delete(trackSid);
+    else priorities.set(trackSid, priority);
+  };
+
+  /**
+   * @param {string} trackSid
+   * @returns {string|null} the priority set by the app, null for the publisher's priority
+   */
+  const getPriority = (trackSid) => priorities.get(trackSid) || null;
+
+  /**
+   * Stop receiving a remote video, even if the layout shows it.
+   * @param {string} trackSid
+   */
+  const switchOff = (trackSid) => {
+    assertManual("clientTrackSwitchOffControl");
+    findRemoteVideoTrack(trackSid);
+    setOverride(trackSid, { enabled: false });
+  };
+
+  /**
+   * Receive a remote video, even if the layout doesn't show it.
+   * @param {string} trackSid
+   */
+  const switchOn = (trackSid) => {
+    assertManual("clientTrackSwitchOffControl");
+    findRemoteVideoTrack(trackSid);
+    setOverride(trackSid, { enabled: true });
+  };
+
+  /**
+   * Hint the size a remote video is rendered at, so it is sent at a matching quality.
+   * @param {string} trackSid
+   * @param {object} renderDimensions - { width, height } in pixels
+   */
+  const setRenderDimensions = (trackSid, renderDimensions) => {
+    assertManual("contentPreferencesMode");
+    if (!isDimensions(renderDimensions))
+      throw invalidArgument(
+        "Render dimensions need a positive integer width and height"
+      );
+    findRemoteVideoTrack(trackSid);
+    setOverride(trackSid, { renderDimensions });
+  };
+
+  /**
+   * Hand the switch-off and dimensions of a remote video back to the layout.
+   * @param {string} trackSid
+   */
+  const release = (trackSid) => {
+    if (!overrides.delete(trackSid)) return;
+    onOverrideChange();
+  };
+
+  /**
+   * @param {string} trackSid
+   * @returns {object} { enabled, renderDimensions }, either may be undefined
+   */
+  const getOverride = (trackSid) => overrides.get(trackSid) || {};
+
+  const reset = () => {
+    overrides.clear();
+    priorities.clear();
+  };
+
+  return {
+    findRemoteTrack,
+    setPriority,
+    getPriority,
+    switchOff,
+    switchOn,
+    setRenderDimensions,
+    release,
+    getOverride,
+    reset,
+  };
+};
+
+module.exports = { TrackPriorities, createTrackControl };